@@ -26,6 +26,113 @@ const typeLabel = (t) => ({
   other: "その他",
 }[t] || t);
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// 端末をまたいでも変わらないレコードID（自動採番の id は端末ごとにズレる）
+function newUid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const b = crypto.getRandomValues(new Uint8Array(16));
+  b[6] = (b[6] & 0x0f) | 0x40;
+  b[8] = (b[8] & 0x3f) | 0x80;
+  const h = [...b].map(x => x.toString(16).padStart(2, "0")).join("");
+  return `${h.slice(0,8)}-${h.slice(8,12)}-${h.slice(12,16)}-${h.slice(16,20)}-${h.slice(20)}`;
+}
+
+const isUid = (v) => typeof v === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v);
+
+const todayStamp = () => new Date().toISOString().slice(0,10);
+
+// = + - @ タブ CR で始まるとスプレッドシートが式として実行するので、先頭に ' を付けて文字にする
+const CSV_FORMULA = /^[=+\-@\t\r]/;
+
+// RFC 4180 っぽく: カンマ/改行/ダブルクオートを含むセルだけ囲む
+function csvCell(v) {
+  let s = v == null ? "" : String(v);
+  if (typeof v === "string" && CSV_FORMULA.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// csvCell で付けた ' を外す（書き出した CSV を読み直した時）
+const csvUncell = (s) => (s.startsWith("'") && CSV_FORMULA.test(s.slice(1)) ? s.slice(1) : s);
+
+const toCSV = (rows) => rows.map(r => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// ---------- paint properties ----------
+// 透明度（メーカー表記の T / ST / SO / O）、ステイン、粒状化は並び順つきの選択肢
+const TRANSPARENCY = { T: "透明", ST: "半透明", SO: "半不透明", O: "不透明" };
+const STAINING = { none: "ステインなし", low: "ステイン弱", medium: "ステイン中", high: "ステイン強" };
+const GRANULATING = { none: "粒状化なし", slight: "粒状化あり", strong: "粒状化 強" };
+// 隠蔽力（下の色をどれだけ隠すか）1〜5。主にガッシュ/アクリル/油彩向け
+const OPACITY = { 1: "隠蔽力 1(弱)", 2: "隠蔽力 2", 3: "隠蔽力 3", 4: "隠蔽力 4", 5: "隠蔽力 5(強)" };
+
+// 耐光性: ASTM I〜V と Blue Wool 1〜8。score は並べ替え/絞り込み用の共通尺度（5が最高）
+const LIGHTFASTNESS = {
+  "ASTM-I": { label: "ASTM I", score: 5 },
+  "ASTM-II": { label: "ASTM II", score: 4 },
+  "ASTM-III": { label: "ASTM III", score: 3 },
+  "ASTM-IV": { label: "ASTM IV", score: 2 },
+  "ASTM-V": { label: "ASTM V", score: 1 },
+  "BW8": { label: "Blue Wool 8", score: 5 },
+  "BW7": { label: "Blue Wool 7", score: 5 },
+  "BW6": { label: "Blue Wool 6", score: 4 },
+  "BW5": { label: "Blue Wool 5", score: 3 },
+  "BW4": { label: "Blue Wool 4", score: 3 },
+  "BW3": { label: "Blue Wool 3", score: 2 },
+  "BW2": { label: "Blue Wool 2", score: 1 },
+  "BW1": { label: "Blue Wool 1", score: 1 },
+};
+
+const lightfastScore = (v) => LIGHTFASTNESS[v]?.score ?? null;
+
+// 選択肢にない値は "" / null にする（import などで使う）
+const pickKey = (table, v) => (Object.prototype.hasOwnProperty.call(table, v) ? v : "");
+const pickOpacity = (v) => (OPACITY[Number(v)] ? Number(v) : null);
+
+// ---------- inventory ----------
+// units: 同じ色の本数/個数（null は未記録）、size: 1本/1個の大きさ、remaining: 使用中の1本の残量 %
+const SIZES = { ml: "ml", "half-pan": "ハーフパン", "full-pan": "フルパン" };
+const LOW_STOCK_LEVEL = 25; // 最後の1本がこの % 以下なら在庫少
+
+const toCount = (v) => {
+  if (v === "" || v == null) return null;
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(0, n) : null;
+};
+const toPercent = (v) => {
+  if (v === "" || v == null) return null;
+  const n = Math.round(Number(v));
+  return Number.isFinite(n) ? Math.min(100, Math.max(0, n)) : null;
+};
+const toMl = (v) => {
+  const n = Number(v);
+  return v !== "" && v != null && Number.isFinite(n) && n > 0 ? n : null;
+};
+
+// 最後の1本を使い切ったら「空」、買い足して本数が戻ったら「持ってる」に戻す
+function applyInventoryStatus(p) {
+  if (p.units === 0 && p.status === "owned") p.status = "empty";
+  else if (p.units > 0 && p.status === "empty") p.status = "owned";
+  return p;
+}
+
+function sizeLabel(p) {
+  if (p.size === "ml") return p.sizeMl ? `${p.sizeMl}ml` : "ml";
+  return SIZES[p.size] || "";
+}
+
+function isLowStock(p) {
+  return p.status === "owned" && p.units === 1 && p.remaining != null && p.remaining <= LOW_STOCK_LEVEL;
+}
+
 function normalizeHex(input) {
   const s = (input || "").trim();
   if (!s) return "";
@@ -34,8 +141,36 @@ function normalizeHex(input) {
   return ("#" + t.toUpperCase());
 }
 
-function setHexPreview(hex) {
-  const el = $("hexPreview");
+// Colour Index Generic Name（例: PB29, PR122, PB15:3, PBr7, PBk9）
+// P = 合成/一般顔料, N = 天然顔料。色相記号の後ろに番号、必要なら :変種
+const PIGMENT_HUES = { B: "B", R: "R", Y: "Y", O: "O", G: "G", V: "V", W: "W", M: "M", BR: "Br", BK: "Bk" };
+
+function normalizePigment(input) {
+  const s = (input || "").replace(/\s+/g, "").toUpperCase();
+  if (!s) return "";
+  const m = /^([PN])(BR|BK|B|R|Y|O|G|V|W|M)(\d{1,3})(?::(\d{1,2}))?$/.exec(s);
+  if (!m) return "__INVALID__";
+  return `${m[1]}${PIGMENT_HUES[m[2]]}${Number(m[3])}${m[4] ? ":" + Number(m[4]) : ""}`;
+}
+
+// "PB29, PV15" / "PB29+PV15" などを配列に。読めなかったものは invalid に入れて返す
+function parsePigments(input) {
+  const pigments = [];
+  const invalid = [];
+  for (const raw of (input || "").split(/[,、\/+]/)) {
+    const t = raw.trim();
+    if (!t) continue;
+    const n = normalizePigment(t);
+    if (n === "__INVALID__") invalid.push(t);
+    else if (!pigments.includes(n)) pigments.push(n);
+  }
+  return { pigments, invalid };
+}
+
+const comparePigments = (a, b) => a.localeCompare(b, "en", { numeric: true });
+
+function setHexPreview(hex, id = "hexPreview") {
+  const el = $(id);
   if (!el) return;
   if (!hex || hex === "__INVALID__") {
     el.style.background = "rgba(255,255,255,.06)";
@@ -46,106 +181,483 @@ function setHexPreview(hex) {
   el.style.borderColor = "rgba(255,255,255,.22)";
 }
 
-async function fileToResizedDataURL(file, { maxSize = 900, quality = 0.82 } = {}) {
-  // 画像を読み込み
-  const img = await new Promise((resolve, reject) => {
-    const url = URL.createObjectURL(file);
+// ---------- color ----------
+const hexToRgb = (hex) => {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+};
+
+const rgbToHex = (rgb) =>
+  "#" + rgb.map(v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, "0")).join("").toUpperCase();
+
+const srgbToLinear = (v) => {
+  const c = v / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const linearToSrgb = (c) => {
+  const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return v * 255;
+};
+
+// 混色プレビュー（減法混色の近似）
+// RGB → 10バンドの分光反射率（Smits 1999 の基底スペクトル）に起こし、
+// バンドごとに Kubelka–Munk の K/S を割合で足し合わせて反射率に戻す。
+// RGB の単純平均だと 黄+青 が灰色になるが、これなら緑っぽくなる。
+const SMITS = {
+  white:   [1.0000, 1.0000, 0.9999, 0.9993, 0.9992, 0.9998, 1.0000, 1.0000, 1.0000, 1.0000],
+  cyan:    [0.9710, 0.9426, 1.0007, 1.0007, 1.0007, 1.0007, 0.1564, 0.0000, 0.0000, 0.0000],
+  magenta: [1.0000, 1.0000, 0.9685, 0.2229, 0.0000, 0.0458, 0.8369, 1.0000, 1.0000, 0.9959],
+  yellow:  [0.0001, 0.0000, 0.1088, 0.6651, 1.0000, 1.0000, 0.9996, 0.9586, 0.9685, 0.9840],
+  red:     [0.1012, 0.0515, 0.0000, 0.0000, 0.0000, 0.0000, 0.8325, 1.0149, 1.0149, 1.0149],
+  green:   [0.0000, 0.0000, 0.0273, 0.7937, 1.0000, 0.9418, 0.1719, 0.0000, 0.0000, 0.0025],
+  blue:    [1.0000, 1.0000, 0.8916, 0.3323, 0.0000, 0.0000, 0.0003, 0.0369, 0.0483, 0.0496],
+};
+
+// 10バンド反射率 → 線形RGB（上の基底で作ったスペクトルが元のRGBに戻るよう最小二乗で合わせた値）
+const SPECTRUM_TO_RGB = [
+  [-0.0718, -0.0139, 0.1163, -0.1326, -0.0224, 0.0580, 0.4069, 0.4894, 0.1972, -0.0272],
+  [-0.0112, -0.0808, 0.0125, 0.2475, 0.4090, 0.4098, 0.0481, -0.0258, -0.0116, 0.0031],
+  [0.0671, 0.5026, 0.4627, 0.0639, -0.0531, -0.0233, 0.0681, -0.0642, -0.0261, 0.0023],
+];
+
+function linearRgbToSpectrum([r, g, b]) {
+  const out = new Array(10).fill(0);
+  const add = (basis, k) => { for (let i = 0; i < 10; i++) out[i] += basis[i] * k; };
+
+  if (r <= g && r <= b) {
+    add(SMITS.white, r);
+    if (g <= b) { add(SMITS.cyan, g - r); add(SMITS.blue, b - g); }
+    else { add(SMITS.cyan, b - r); add(SMITS.green, g - b); }
+  } else if (g <= r && g <= b) {
+    add(SMITS.white, g);
+    if (r <= b) { add(SMITS.magenta, r - g); add(SMITS.blue, b - r); }
+    else { add(SMITS.magenta, b - g); add(SMITS.red, r - b); }
+  } else {
+    add(SMITS.white, b);
+    if (r <= g) { add(SMITS.yellow, r - b); add(SMITS.green, g - r); }
+    else { add(SMITS.yellow, g - b); add(SMITS.red, r - g); }
+  }
+  return out;
+}
+
+// K/S（吸収/散乱）と反射率の相互変換（Kubelka–Munk, 不透明層の近似）
+// 反射率0だと K/S が発散して白で薄めても明るくならないので、下限を少し持たせる
+const reflectanceToKS = (R) => {
+  const c = Math.min(0.999, Math.max(0.01, R));
+  return (1 - c) * (1 - c) / (2 * c);
+};
+const ksToReflectance = (ks) => 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+
+// parts: [{ hex: "#RRGGBB", ratio: number }] → 混ぜた色の "#RRGGBB"（混ぜられない時は ""）
+function mixHexes(parts) {
+  const valid = (parts || []).filter(p =>
+    p.hex && p.hex !== "__INVALID__" && (Number(p.ratio) || 0) > 0);
+  if (!valid.length) return "";
+  if (new Set(valid.map(p => p.hex)).size === 1) return valid[0].hex;
+
+  // 明るい色ほど少量でも効いて見えるので、割合×明度で重み付けする
+  const linear = valid.map(p => hexToRgb(p.hex).map(srgbToLinear));
+  const weights = valid.map((p, i) => {
+    const [r, g, b] = linear[i];
+    return Number(p.ratio) * Math.max(0.01, 0.2126 * r + 0.7152 * g + 0.0722 * b);
+  });
+  const total = weights.reduce((s, w) => s + w, 0);
+
+  const ks = new Array(10).fill(0);
+  valid.forEach((p, i) => {
+    const spectrum = linearRgbToSpectrum(linear[i]);
+    const w = weights[i] / total;
+    for (let b = 0; b < 10; b++) ks[b] += reflectanceToKS(spectrum[b]) * w;
+  });
+
+  const R = ks.map(ksToReflectance);
+  const rgb = SPECTRUM_TO_RGB.map(row => row.reduce((s, m, i) => s + m * R[i], 0));
+  return rgbToHex(rgb.map(c => linearToSrgb(Math.min(1, Math.max(0, c)))));
+}
+
+// sRGB(D65) → CIELAB
+function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map(srgbToLinear);
+  const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+  const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b);
+  const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(x), fy = f(y), fz = f(z);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+const hexToLab = (hex) => rgbToLab(hexToRgb(hex));
+
+// CIEDE2000 色差（見た目の差に近い ΔE。1前後ならほぼ見分けがつかない）
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(a1, b1);
+  const C2 = Math.hypot(a2, b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+    else hbarp = (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos((2 * hbarp) * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    Math.pow(dLp / Sl, 2) +
+    Math.pow(dCp / Sc, 2) +
+    Math.pow(dHp / Sh, 2) +
+    Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+function srcToImage(src) {
+  return new Promise((resolve, reject) => {
     const im = new Image();
-    im.onload = () => { URL.revokeObjectURL(url); resolve(im); };
-    im.onerror = (e) => { URL.revokeObjectURL(url); reject(e); };
-    im.src = url;
+    im.onload = () => resolve(im);
+    im.onerror = (e) => reject(e);
+    im.src = src;
   });
+}
+
+async function fileToImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    return await srcToImage(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
 
-  // 端末向けに縮小（長辺 maxSize）
+// 長辺 maxSize に縮めて canvas に描く（色を取る用）
+function imageToCanvas(img, maxSize) {
   const w = img.naturalWidth || img.width;
   const h = img.naturalHeight || img.height;
   const scale = Math.min(1, maxSize / Math.max(w, h));
-  const nw = Math.max(1, Math.round(w * scale));
-  const nh = Math.max(1, Math.round(h * scale));
-
   const canvas = document.createElement("canvas");
-  canvas.width = nw;
-  canvas.height = nh;
+  canvas.width = Math.max(1, Math.round(w * scale));
+  canvas.height = Math.max(1, Math.round(h * scale));
   const ctx = canvas.getContext("2d");
-  ctx.drawImage(img, 0, 0, nw, nh);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return { canvas, ctx };
+}
+
+// RGBA配列のうち、pick(i) が true のピクセルについて各チャンネルの中央値を取る
+function medianHex(data, pick = () => true) {
+  const channels = [[], [], []];
+  for (let i = 0; i < data.length; i += 4) {
+    if (!pick(i)) continue;
+    channels[0].push(data[i]);
+    channels[1].push(data[i + 1]);
+    channels[2].push(data[i + 2]);
+  }
+  if (!channels[0].length) return "";
+  const median = (arr) => arr.sort((a, b) => a - b)[Math.floor(arr.length / 2)];
+  return rgbToHex(channels.map(median));
+}
 
-  // JPEGにして容量を抑える（バックアップにも入れやすい）
-  return canvas.toDataURL("image/jpeg", quality);
+// ImageData の矩形範囲の中央値
+function regionMedianHex(imageData, x, y, w, h) {
+  const { data, width, height } = imageData;
+  const x0 = Math.max(0, Math.floor(Math.min(x, x + w)));
+  const y0 = Math.max(0, Math.floor(Math.min(y, y + h)));
+  const x1 = Math.min(width, Math.ceil(Math.max(x, x + w)));
+  const y1 = Math.min(height, Math.ceil(Math.max(y, y + h)));
+  return medianHex(data, (i) => {
+    const px = (i / 4) % width;
+    const py = Math.floor(i / 4 / width);
+    return px >= x0 && px < x1 && py >= y0 && py < y1;
+  });
 }
 
-function setPhotoPreview(dataUrl) {
-  const img = $("photoPreview");
-  const btnRemove = $("btnRemovePhoto");
+// 塗り見本の写真から「濃いところ(マストーン)」と「薄いところ(ティント)」を推定する
+// 一番明るい部分を紙とみなし、紙から離れた色のピクセルだけを明るさ順に並べて
+// 暗い側/明るい側それぞれ 15% の中央値を取る。絵の具が見つからなければ中央の色だけ返す
+function estimateMasstoneTint(imageData) {
+  const { data, width, height } = imageData;
+  const labs = [];
+  for (let i = 0; i < data.length; i += 4) labs.push(rgbToLab([data[i], data[i + 1], data[i + 2]]));
 
-  if (!dataUrl) {
-    img.hidden = true;
-    img.src = "";
-    btnRemove.hidden = true;
-    return;
+  const byL = labs.map((lab, n) => n).sort((a, b) => labs[a][0] - labs[b][0]);
+  const paperIdx = byL.slice(Math.floor(byL.length * 0.9));
+  const paper = [0, 1, 2].map(c => paperIdx.reduce((s, n) => s + labs[n][c], 0) / paperIdx.length);
+
+  const paintIdx = byL.filter(n => Math.hypot(
+    labs[n][0] - paper[0], labs[n][1] - paper[1], labs[n][2] - paper[2]) > 10);
+
+  if (paintIdx.length < labs.length * 0.02) {
+    return { masstone: regionMedianHex(imageData, width * 0.3, height * 0.3, width * 0.4, height * 0.4), tint: "" };
   }
-  img.hidden = false;
-  img.src = dataUrl;
-  btnRemove.hidden = false;
+
+  const band = Math.max(1, Math.floor(paintIdx.length * 0.15));
+  const dark = new Set(paintIdx.slice(0, band));
+  const light = new Set(paintIdx.slice(-band));
+  return {
+    masstone: medianHex(data, (i) => dark.has(i / 4)),
+    tint: medianHex(data, (i) => light.has(i / 4)),
+  };
 }
 
-function setPhotoName(name) {
-  const el = $("photoName");
-  if (!el) return;
+// 画像の中央あたりの色（各チャンネルの中央値）を "#RRGGBB" で返す
+async function sampleCenterHex(file, { area = 0.4 } = {}) {
+  const { canvas, ctx } = imageToCanvas(await fileToImage(file), 120);
+  const { width: cw, height: ch } = canvas;
+  const imageData = ctx.getImageData(0, 0, cw, ch);
+  return regionMedianHex(imageData, cw * (1 - area) / 2, ch * (1 - area) / 2, cw * area, ch * area);
+}
 
-  const v = (name || "").trim();
-  if (!v) {
-    el.hidden = true;
-    el.textContent = "";
-    return;
-  }
-  el.hidden = false;
-  el.textContent = v;
+// 写真は本体(長辺900)とサムネイル(長辺160)の2つを JPEG Blob で持つ
+const PHOTO_MAX_SIZE = 900;
+const THUMB_MAX_SIZE = 160;
+
+function canvasToBlob(canvas, type = "image/jpeg", quality = 0.82) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("canvas.toBlob failed"))), type, quality);
+  });
+}
+
+async function fileToPhotoBlobs(file) {
+  const img = await fileToImage(file);
+  return {
+    blob: await canvasToBlob(imageToCanvas(img, PHOTO_MAX_SIZE).canvas, "image/jpeg", 0.82),
+    thumb: await canvasToBlob(imageToCanvas(img, THUMB_MAX_SIZE).canvas, "image/jpeg", 0.75),
+  };
+}
+
+async function makeThumbBlob(blob) {
+  const img = await fileToImage(blob);
+  return await canvasToBlob(imageToCanvas(img, THUMB_MAX_SIZE).canvas, "image/jpeg", 0.75);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  // String.fromCharCode(...) に一度に渡せる数には上限があるので区切る
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function dataURLToBlob(dataUrl) {
+  const m = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(dataUrl || "");
+  if (!m) throw new Error("invalid data URL");
+  const type = m[1] || "application/octet-stream";
+  if (!m[2]) return new Blob([decodeURIComponent(m[3])], { type });
+  return new Blob([base64ToBytes(m[3])], { type });
+}
+
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+const photoLabel = (l) => ({
+  masstone: "原液(濃い)",
+  wash: "薄塗り",
+  granulation: "粒状化アップ",
+  dotcard: "メーカー色見本",
+  other: "その他",
+}[l] || l);
+
+// 写真を追加した時のラベル: まだ使っていないものを上から順に
+function nextPhotoLabel(used) {
+  return ["masstone", "wash", "granulation", "dotcard"].find(l => !used.includes(l)) || "other";
+}
+
+function renderPhotoGallery() {
+  const el = $("photoGallery");
+  el.innerHTML = "";
+  el.hidden = currentPhotos.length === 0;
+
+  currentPhotos.forEach((ph, i) => {
+    const item = document.createElement("div");
+    item.className = "galleryItem";
+    item.innerHTML = `
+      <img class="photoPreview" src="${ph.url}" alt="${escapeHtml(photoLabel(ph.label))}" data-act="sample" data-index="${i}" />
+      <select class="galleryLabel" data-index="${i}">
+        ${["masstone", "wash", "granulation", "dotcard", "other"].map(l =>
+          `<option value="${l}"${l === ph.label ? " selected" : ""}>${escapeHtml(photoLabel(l))}</option>`).join("")}
+      </select>
+      <div class="galleryName">${i === 0 ? "★メイン " : ""}${escapeHtml(ph.name || "")}</div>
+      <div class="galleryBtns">
+        <button type="button" class="btn btn--ghost" data-act="left" data-index="${i}" ${i === 0 ? "disabled" : ""}>←</button>
+        <button type="button" class="btn btn--ghost" data-act="right" data-index="${i}" ${i === currentPhotos.length - 1 ? "disabled" : ""}>→</button>
+        <button type="button" class="btn btn--ghost" data-act="sample" data-index="${i}">色を取る</button>
+        <button type="button" class="btn btn--danger" data-act="remove" data-index="${i}">削除</button>
+      </div>
+    `;
+    el.appendChild(item);
+  });
 }
 
 async function getAllPalettes() {
   return await getAllFrom(STORE_PALETTES);
 }
 
-async function addPalette({ name, slots }) {
-  const p = { name: name || "新しいパレット", slots: Math.max(1, Number(slots) || 13), createdAt: nowISO(), updatedAt: nowISO() };
-  return await withStoreName(STORE_PALETTES, "readwrite", (store) => store.add(p));
+async function addPalette({ name, slots }, { batch } = {}) {
+  const p = { uid: newUid(), name: name || "新しいパレット", slots: Math.max(1, Number(slots) || 13), createdAt: nowISO(), updatedAt: nowISO() };
+  const req = await withStoreName(STORE_PALETTES, "readwrite", (store) => store.add(p));
+  logChanges(`パレット「${p.name}」を追加`, [{ store: STORE_PALETTES, key: req.result, before: null, after: { ...p, id: req.result } }], batch);
+  return req;
 }
 
-async function updatePalette(id, patch) {
+async function updatePalette(id, patch, { batch } = {}) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_PALETTES, "readwrite");
     const store = tx.objectStore(STORE_PALETTES);
+    let change = null;
     const req = store.get(id);
     req.onsuccess = () => {
       const cur = req.result;
-      if (!cur) return resolve(false);
+      if (!cur) return;
       const next = { ...cur, ...patch, id, updatedAt: nowISO() };
       store.put(next);
-      resolve(true);
+      change = { store: STORE_PALETTES, key: id, before: cur, after: next };
     };
-    req.onerror = () => reject(req.error);
+    // 書き込みが確定してから履歴に載せる（失敗したのに「元に戻す」が出ないように）
+    tx.oncomplete = () => {
+      if (change) logChanges(`パレット「${change.after.name}」を変更`, [change], batch);
+      resolve(!!change);
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// パレットとマスを丸ごとコピー（旅行用パレットをアトリエ用から作る時とか）
+async function duplicatePalette(id, name) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_PALETTES, STORE_SLOTS], "readwrite");
+    const paletteStore = tx.objectStore(STORE_PALETTES);
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const changes = [];
+    let newId = null;
+    let copyName = "";
+
+    const getReq = paletteStore.get(id);
+    getReq.onsuccess = () => {
+      const src = getReq.result;
+      if (!src) return;
+      const { id: _id, ...rest } = src;
+      const copy = { ...rest, uid: newUid(), name: name || `${src.name || "パレット"}（コピー）`, createdAt: nowISO(), updatedAt: nowISO() };
+      copyName = copy.name;
+      const addReq = paletteStore.add(copy);
+      addReq.onsuccess = () => {
+        newId = addReq.result;
+        changes.push({ store: STORE_PALETTES, key: newId, before: null, after: { ...copy, id: newId } });
+        const slotsReq = slotStore.index("paletteId").getAll(IDBKeyRange.only(id));
+        slotsReq.onsuccess = () => {
+          for (const s of slotsReq.result || []) {
+            const rec = { ...s, paletteId: newId };
+            slotStore.put(rec);
+            changes.push({ store: STORE_SLOTS, key: [newId, s.index], before: null, after: rec });
+          }
+        };
+      };
+    };
+
+    tx.oncomplete = () => {
+      if (newId != null) logChanges(`パレット「${copyName}」を複製`, changes);
+      resolve(newId);
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
 }
 
-async function deletePalette(id) {
-  // delete palette
-  await withStoreName(STORE_PALETTES, "readwrite", (store) => store.delete(id));
-  // delete its slots
+async function deletePalette(id, { batch } = {}) {
+  // パレットとマスをまとめてゴミ箱へ（同じトランザクションで）
   const db = await openDB();
   await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE_SLOTS, "readwrite");
-    const store = tx.objectStore(STORE_SLOTS);
-    const idx = store.index("paletteId");
-    const range = IDBKeyRange.only(id);
-    const cursorReq = idx.openCursor(range);
+    const tx = db.transaction([STORE_PALETTES, STORE_SLOTS, STORE_TRASH, STORE_TOMBSTONES], "readwrite");
+    const paletteStore = tx.objectStore(STORE_PALETTES);
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const changes = [];
+    const slots = [];
+    let palette = null;
+    let name = "";
+
+    const getReq = paletteStore.get(id);
+    getReq.onsuccess = () => {
+      if (!getReq.result) return;
+      palette = getReq.result;
+      name = palette.name || "";
+      changes.push({ store: STORE_PALETTES, key: id, before: palette, after: null });
+      paletteStore.delete(id);
+      putTombstone(tx, STORE_PALETTES, palette, changes);
+    };
+
+    const cursorReq = slotStore.index("paletteId").openCursor(IDBKeyRange.only(id));
     cursorReq.onsuccess = () => {
       const cursor = cursorReq.result;
-      if (!cursor) return resolve();
+      if (!cursor) {
+        if (!palette) return;
+        const item = { kind: "palette", deletedAt: nowISO(), record: palette, slots };
+        const addReq = tx.objectStore(STORE_TRASH).add(item);
+        addReq.onsuccess = () => {
+          changes.push({ store: STORE_TRASH, key: addReq.result, before: null, after: { ...item, id: addReq.result } });
+        };
+        return;
+      }
+      slots.push(cursor.value);
+      changes.push({ store: STORE_SLOTS, key: cursor.primaryKey, before: cursor.value, after: null });
       cursor.delete();
       cursor.continue();
     };
-    cursorReq.onerror = () => reject(cursorReq.error);
+
+    tx.oncomplete = () => {
+      logChanges(`パレット「${name}」を削除`, changes, batch);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
   });
 }
 
@@ -163,656 +675,5417 @@ async function getSlotsForPalette(paletteId) {
 
 async function setSlotPaint(paletteId, index, paintId) {
   const rec = { paletteId, index, paintId: paintId ?? null, updatedAt: nowISO() };
-  await withStoreName(STORE_SLOTS, "readwrite", (store) => store.put(rec));
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SLOTS, "readwrite");
+    const store = tx.objectStore(STORE_SLOTS);
+    let before = null;
+    const getReq = store.get([paletteId, index]);
+    getReq.onsuccess = () => {
+      before = getReq.result || null;
+      store.put(rec);
+    };
+    tx.oncomplete = () => {
+      logChanges(rec.paintId == null ? "マスを空にした" : "マスに絵の具を置いた", [
+        { store: STORE_SLOTS, key: [paletteId, index], before, after: rec },
+      ]);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// マスの絵の具を別のマスへ。移動先に絵の具があれば入れ替える（2マスを1トランザクションで）
+async function moveSlotPaint(paletteId, from, to) {
+  if (from === to) return;
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SLOTS, "readwrite");
+    const store = tx.objectStore(STORE_SLOTS);
+    const changes = [];
+    let swapped = false;
+
+    const aReq = store.get([paletteId, from]);
+    const bReq = store.get([paletteId, to]);
+    bReq.onsuccess = () => {
+      const a = aReq.result || null;
+      const b = bReq.result || null;
+      swapped = b?.paintId != null;
+      const stamp = nowISO();
+      const nextA = { paletteId, index: from, paintId: b?.paintId ?? null, updatedAt: stamp };
+      const nextB = { paletteId, index: to, paintId: a?.paintId ?? null, updatedAt: stamp };
+      store.put(nextA);
+      store.put(nextB);
+      changes.push(
+        { store: STORE_SLOTS, key: [paletteId, from], before: a, after: nextA },
+        { store: STORE_SLOTS, key: [paletteId, to], before: b, after: nextB },
+      );
+    };
+
+    tx.oncomplete = () => {
+      logChanges(swapped ? "マスを入れ替え" : "マスを移動", changes);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
 }
 
 async function clearSlot(paletteId, index) {
   await setSlotPaint(paletteId, index, null);
 }
 
-async function trimSlotsBeyond(paletteId, maxSlots) {
+async function trimSlotsBeyond(paletteId, maxSlots, { batch } = {}) {
   // remove records where index >= maxSlots
   const db = await openDB();
   await new Promise((resolve, reject) => {
     const tx = db.transaction(STORE_SLOTS, "readwrite");
     const store = tx.objectStore(STORE_SLOTS);
     const idx = store.index("paletteId");
+    const changes = [];
     const cursorReq = idx.openCursor(IDBKeyRange.only(paletteId));
     cursorReq.onsuccess = () => {
       const cursor = cursorReq.result;
-      if (!cursor) return resolve();
+      if (!cursor) return;
       const rec = cursor.value;
-      if (rec.index >= maxSlots) cursor.delete();
+      if (rec.index >= maxSlots) {
+        changes.push({ store: STORE_SLOTS, key: cursor.primaryKey, before: rec, after: null });
+        cursor.delete();
+      }
       cursor.continue();
     };
     cursorReq.onerror = () => reject(cursorReq.error);
-  });
-}
-
-// ---------- IndexedDB ----------
-const DB_NAME = "paint-manager-db";
-
-const DB_VERSION = 2; // ★ 1 → 2 に
-
-const STORE = "paints";
-const STORE_PALETTES = "palettes";
-const STORE_SLOTS = "paletteSlots";
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-
-    req.onupgradeneeded = (e) => {
-      const db = req.result;
-      if (!db.objectStoreNames.contains(STORE)) {
-        const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
-        store.createIndex("updatedAt", "updatedAt", { unique: false });
-        store.createIndex("createdAt", "createdAt", { unique: false });
-        store.createIndex("name", "name", { unique: false });
-        store.createIndex("brand", "brand", { unique: false });
-        store.createIndex("status", "status", { unique: false });
-      }
-      
-      // palettes
-      if (!db.objectStoreNames.contains(STORE_PALETTES)) {
-        const ps = db.createObjectStore(STORE_PALETTES, { keyPath: "id", autoIncrement: true });
-        ps.createIndex("updatedAt", "updatedAt", { unique: false });
-        ps.createIndex("createdAt", "createdAt", { unique: false });
-      }
-
-      // paletteSlots: composite key [paletteId, index]
-      if (!db.objectStoreNames.contains(STORE_SLOTS)) {
-        const ss = db.createObjectStore(STORE_SLOTS, { keyPath: ["paletteId", "index"] });
-        ss.createIndex("paletteId", "paletteId", { unique: false });
-      }
+    tx.oncomplete = () => {
+      logChanges("はみ出したマスを削除", changes, batch);
+      resolve(changes.length);
     };
-
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-
-async function withStore(mode, fn) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, mode);
-    const store = tx.objectStore(STORE);
-    const out = fn(store);
-
-    tx.oncomplete = () => resolve(out);
     tx.onerror = () => reject(tx.error);
     tx.onabort = () => reject(tx.error);
   });
 }
 
-async function withStoreName(storeName, mode, fn) {
+// ---------- photos ----------
+// 写真は paints に埋め込まず photos ストアに置く: { id, blob, name, createdAt }
+// サムネイルは photoThumbs に同じ id で: { id, blob }
+// 一覧・ピッカー・パレットは photoThumbs だけ読み、本体は編集フォーム・色取り・書き出しの時に getPhoto で読む
+async function addPhoto({ blob, thumb, name }, { batch } = {}) {
+  const rec = { blob, name: name || "", createdAt: nowISO() };
   const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, mode);
-    const store = tx.objectStore(storeName);
-    const out = fn(store);
-    tx.oncomplete = () => resolve(out);
+  const id = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_PHOTOS, STORE_PHOTO_THUMBS], "readwrite");
+    const req = tx.objectStore(STORE_PHOTOS).add(rec);
+    req.onsuccess = () => {
+      if (thumb) tx.objectStore(STORE_PHOTO_THUMBS).put({ id: req.result, blob: thumb });
+    };
+    tx.oncomplete = () => resolve(req.result);
     tx.onerror = () => reject(tx.error);
     tx.onabort = () => reject(tx.error);
   });
+  logChanges("写真を追加", [{ store: STORE_PHOTOS, key: id, before: null, after: { ...rec, id } }], batch);
+  return id;
 }
 
-async function getAllFrom(storeName) {
+async function getPhoto(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, "readonly");
-    const store = tx.objectStore(storeName);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
+    const tx = db.transaction(STORE_PHOTOS, "readonly");
+    const req = tx.objectStore(STORE_PHOTOS).get(id);
+    req.onsuccess = () => resolve(req.result || null);
     req.onerror = () => reject(req.error);
   });
 }
 
-async function getAllPaints() {
+async function getAllPhotos() {
+  return await getAllFrom(STORE_PHOTOS);
+}
+
+async function getPhotoThumb(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readonly");
-    const store = tx.objectStore(STORE);
-    const req = store.getAll();
-    req.onsuccess = () => resolve(req.result || []);
+    const req = db.transaction(STORE_PHOTO_THUMBS, "readonly").objectStore(STORE_PHOTO_THUMBS).get(id);
+    req.onsuccess = () => resolve(req.result?.blob || null);
     req.onerror = () => reject(req.error);
   });
 }
 
-async function addPaint(paint) {
-  paint.createdAt = paint.createdAt || nowISO();
-  paint.updatedAt = nowISO();
-  await withStore("readwrite", (store) => store.add(paint));
+// サムネイルは残しておく（「元に戻す」で写真が戻った時にそのまま使う）。要らなくなった分は prunePhotoThumbs で
+async function deletePhoto(id, { batch } = {}) {
+  const before = await getPhoto(id);
+  await withStoreName(STORE_PHOTOS, "readwrite", (store) => store.delete(id));
+  if (before) logChanges("写真を削除", [{ store: STORE_PHOTOS, key: id, before, after: null }], batch);
 }
 
-async function updatePaint(id, patch) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readwrite");
-    const store = tx.objectStore(STORE);
-    const getReq = store.get(id);
-
-    getReq.onsuccess = () => {
-      const cur = getReq.result;
-      if (!cur) return resolve(false);
+// DB移行・バックアップ取り込み・同期・復元ポイントの後はサムネイルが無いので、ここで作る
+// 本体を読むのはサムネイルの無い写真だけ
+async function ensureThumbnails() {
+  const thumbIds = new Set(await getAllKeysFrom(STORE_PHOTO_THUMBS));
+  for (const id of await getAllKeysFrom(STORE_PHOTOS)) {
+    if (thumbIds.has(id)) continue;
+    const ph = await getPhoto(id);
+    if (!ph?.blob) continue;
+    try {
+      const blob = await makeThumbBlob(ph.blob);
+      await withStoreName(STORE_PHOTO_THUMBS, "readwrite", (store) => store.put({ id, blob }));
+    } catch (err) {
+      console.warn("thumbnail failed:", id, err);
+    }
+  }
+  await prunePhotoThumbs();
+}
 
-      const next = { ...cur, ...patch, id, updatedAt: nowISO() };
-      const putReq = store.put(next);
+// 写真が無くなったサムネイルを消す（キーだけ見るので本体は読まない）
+async function prunePhotoThumbs() {
+  const photoIds = new Set(await getAllKeysFrom(STORE_PHOTOS));
+  const stale = (await getAllKeysFrom(STORE_PHOTO_THUMBS)).filter(id => !photoIds.has(id));
+  if (!stale.length) return;
+  await withStoreName(STORE_PHOTO_THUMBS, "readwrite", (store) => {
+    for (const id of stale) store.delete(id);
+  });
+}
 
-      putReq.onsuccess = () => resolve(true);
-      putReq.onerror = () => reject(putReq.error);
-    };
+// photoId -> サムネイルの object URL（render は同期なので先に作っておく）
+let thumbUrls = new Map();
 
-    getReq.onerror = () => reject(getReq.error);
-  });
+async function loadThumbUrls() {
+  for (const url of thumbUrls.values()) URL.revokeObjectURL(url);
+  thumbUrls = new Map();
+  for (const t of await getAllFrom(STORE_PHOTO_THUMBS)) {
+    if (t.blob) thumbUrls.set(t.id, URL.createObjectURL(t.blob));
+  }
 }
 
-async function deletePaint(id) {
-  await withStore("readwrite", (store) => store.delete(id));
+// 絵の具の写真一覧 [{ photoId, label }]（先頭がメイン）
+const paintPhotos = (p) => (Array.isArray(p?.photos) ? p.photos : []);
+
+function paintThumbUrl(p) {
+  const main = paintPhotos(p)[0];
+  return main ? (thumbUrls.get(main.photoId) || "") : "";
 }
 
-async function clearAll() {
-  await withStore("readwrite", (store) => store.clear());
+// DB v3 以前: paints.photoDataUrl(base64) を photos に移して photos: [{ photoId, label }] に置き換える
+// versionchange トランザクション内なので画像のデコードはできない → サムネイルは ensureThumbnails で
+function migratePhotoDataUrls(tx) {
+  const paintStore = tx.objectStore(STORE);
+  const photoStore = tx.objectStore(STORE_PHOTOS);
+  const req = paintStore.getAll();
+  req.onsuccess = () => {
+    for (const p of req.result || []) {
+      if (!("photoDataUrl" in p)) continue;
+      const { photoDataUrl, ...rest } = p;
+      let blob = null;
+      try {
+        if (photoDataUrl) blob = dataURLToBlob(photoDataUrl);
+      } catch (err) {
+        console.warn("photo migration skipped:", p.id, err);
+      }
+      if (!blob) {
+        paintStore.put({ ...rest, photos: [] });
+        continue;
+      }
+      const addReq = photoStore.add({ blob, name: p.photoName || "", createdAt: nowISO() });
+      addReq.onsuccess = () => paintStore.put({ ...rest, photos: [{ photoId: addReq.result, label: "masstone" }] });
+    }
+  };
 }
 
+// DB v11 以前: recipes.resultPhotoDataUrl(base64) を photos に移して resultPhotoId に置き換える
+// 復元ポイントを戻す時（古い復元ポイントのレシピ）にも同じ tx で呼ぶ
+function migrateRecipePhotos(tx) {
+  const recipeStore = tx.objectStore(STORE_RECIPES);
+  const photoStore = tx.objectStore(STORE_PHOTOS);
+  const req = recipeStore.getAll();
+  req.onsuccess = () => {
+    for (const r of req.result || []) {
+      if (!("resultPhotoDataUrl" in r)) continue;
+      const { resultPhotoDataUrl, ...rest } = r;
+      let blob = null;
+      try {
+        if (resultPhotoDataUrl) blob = dataURLToBlob(resultPhotoDataUrl);
+      } catch (err) {
+        console.warn("recipe photo migration skipped:", r.id, err);
+      }
+      if (!blob) {
+        recipeStore.put({ ...rest, resultPhotoId: null });
+        continue;
+      }
+      const addReq = photoStore.add({ blob, name: "", createdAt: nowISO() });
+      addReq.onsuccess = () => recipeStore.put({ ...rest, resultPhotoId: addReq.result });
+    }
+  };
+}
+
+// DB v12 以前: photos.thumb を photoThumbs に移す。サムネイルの無い写真は次の起動で ensureThumbnails が作る
+function migratePhotoThumbs(tx) {
+  const thumbStore = tx.objectStore(STORE_PHOTO_THUMBS);
+  const req = tx.objectStore(STORE_PHOTOS).openCursor();
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    const { thumb, ...rest } = cursor.value;
+    if (thumb) thumbStore.put({ id: cursor.primaryKey, blob: thumb });
+    if ("thumb" in cursor.value) cursor.update(rest);
+    cursor.continue();
+  };
+  tx.objectStore(STORE_META).put({ key: "thumbnailsPending", value: true });
+}
+
+// DB v4: 1枚だけの paints.photoId を photos: [{ photoId, label }] に
+function migratePhotoIdToGallery(tx) {
+  const paintStore = tx.objectStore(STORE);
+  const req = paintStore.getAll();
+  req.onsuccess = () => {
+    for (const p of req.result || []) {
+      if (!("photoId" in p)) continue;
+      const { photoId, ...rest } = p;
+      paintStore.put({ ...rest, photos: photoId != null ? [{ photoId, label: "masstone" }] : [] });
+    }
+  };
+}
+
+// ---------- recipes ----------
+// 混色レシピ: { name, items: [{ paintId, ratio }], paintIds, resultHex, resultPhotoId, notes }
+// paintIds は items から作る検索用の重複なし配列（multiEntry index 用）
+// 仕上がり写真は絵の具と同じく photos に置き、resultPhotoId で指す
+const recipePaintIds = (items) => [...new Set((items || []).map(it => it.paintId).filter(id => id != null))];
+
+async function getAllRecipes() {
+  return await getAllFrom(STORE_RECIPES);
+}
+
+// photo: undefined = 写真はそのまま / null = 外す / { blob, thumb } = 差し替え（古い写真は消す）
+// レシピは「元に戻す」の対象外なので、写真の出し入れもレシピと同じ tx で済ませる
+async function addRecipe(recipe, { photo } = {}) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_RECIPES, STORE_PHOTOS, STORE_PHOTO_THUMBS], "readwrite");
+    const r = { uid: newUid(), ...recipe, resultPhotoId: null, paintIds: recipePaintIds(recipe.items), createdAt: nowISO(), updatedAt: nowISO() };
+    let id = null;
+    const add = () => { tx.objectStore(STORE_RECIPES).add(r).onsuccess = (ev) => { id = ev.target.result; }; };
+    if (photo) {
+      tx.objectStore(STORE_PHOTOS).add({ blob: photo.blob, name: "", createdAt: nowISO() }).onsuccess = (ev) => {
+        r.resultPhotoId = ev.target.result;
+        if (photo.thumb) tx.objectStore(STORE_PHOTO_THUMBS).put({ id: r.resultPhotoId, blob: photo.thumb });
+        add();
+      };
+    } else add();
+    tx.oncomplete = () => resolve(id);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function updateRecipe(id, patch, { photo } = {}) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_RECIPES, STORE_PHOTOS, STORE_PHOTO_THUMBS], "readwrite");
+    const store = tx.objectStore(STORE_RECIPES);
+    const photoStore = tx.objectStore(STORE_PHOTOS);
+    const thumbStore = tx.objectStore(STORE_PHOTO_THUMBS);
+    let found = false;
+    const req = store.get(id);
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return;
+      found = true;
+      const next = { ...cur, ...patch, id, updatedAt: nowISO() };
+      next.paintIds = recipePaintIds(next.items);
+      if (photo === undefined) return store.put(next);
+      if (cur.resultPhotoId != null) {
+        photoStore.delete(cur.resultPhotoId);
+        thumbStore.delete(cur.resultPhotoId);
+      }
+      if (!photo) return store.put({ ...next, resultPhotoId: null });
+      photoStore.add({ blob: photo.blob, name: "", createdAt: nowISO() }).onsuccess = (ev) => {
+        if (photo.thumb) thumbStore.put({ id: ev.target.result, blob: photo.thumb });
+        store.put({ ...next, resultPhotoId: ev.target.result });
+      };
+    };
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function deleteRecipe(id) {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_RECIPES, STORE_PHOTOS, STORE_TOMBSTONES], "readwrite");
+    const store = tx.objectStore(STORE_RECIPES);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      store.delete(id);
+      if (req.result.resultPhotoId != null) tx.objectStore(STORE_PHOTOS).delete(req.result.resultPhotoId);
+      putTombstone(tx, STORE_RECIPES, req.result);
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function getRecipesForPaint(paintId) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_RECIPES, "readonly");
+    const idx = tx.objectStore(STORE_RECIPES).index("paintIds");
+    const req = idx.getAll(IDBKeyRange.only(paintId));
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// ---------- IndexedDB ----------
+const DB_NAME = "paint-manager-db";
+
+const DB_VERSION = 13; // ★ 12 → 13 に（サムネイルを photoThumbs に分ける）
+
+const STORE = "paints";
+const STORE_PALETTES = "palettes";
+const STORE_SLOTS = "paletteSlots";
+const STORE_RECIPES = "recipes";
+const STORE_PHOTOS = "photos";
+const STORE_PHOTO_THUMBS = "photoThumbs";
+const STORE_CATALOGS = "catalogs";
+const STORE_TRASH = "trash";
+const STORE_TOMBSTONES = "tombstones";
+const STORE_SNAPSHOTS = "snapshots";
+const STORE_META = "meta";
+const STORE_SNAPSHOT_PHOTOS = "snapshotPhotos";
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("updatedAt", "updatedAt", { unique: false });
+        store.createIndex("createdAt", "createdAt", { unique: false });
+        store.createIndex("name", "name", { unique: false });
+        store.createIndex("brand", "brand", { unique: false });
+        store.createIndex("status", "status", { unique: false });
+      }
+      
+      // palettes
+      if (!db.objectStoreNames.contains(STORE_PALETTES)) {
+        const ps = db.createObjectStore(STORE_PALETTES, { keyPath: "id", autoIncrement: true });
+        ps.createIndex("updatedAt", "updatedAt", { unique: false });
+        ps.createIndex("createdAt", "createdAt", { unique: false });
+      }
+
+      // paletteSlots: composite key [paletteId, index]
+      if (!db.objectStoreNames.contains(STORE_SLOTS)) {
+        const ss = db.createObjectStore(STORE_SLOTS, { keyPath: ["paletteId", "index"] });
+        ss.createIndex("paletteId", "paletteId", { unique: false });
+      }
+
+      // recipes: paintIds(multiEntry) で「この絵の具を使うレシピ」を引く
+      if (!db.objectStoreNames.contains(STORE_RECIPES)) {
+        const rs = db.createObjectStore(STORE_RECIPES, { keyPath: "id", autoIncrement: true });
+        rs.createIndex("updatedAt", "updatedAt", { unique: false });
+        rs.createIndex("paintIds", "paintIds", { unique: false, multiEntry: true });
+      }
+
+      // photos: 写真本体とサムネイルの Blob（paints からは photoId で参照）
+      if (!db.objectStoreNames.contains(STORE_PHOTOS)) {
+        db.createObjectStore(STORE_PHOTOS, { keyPath: "id", autoIncrement: true });
+      }
+      // photoThumbs: 写真のサムネイル（photos と同じ id）。一覧は写真の本体を読まずにこれだけ使う
+      if (!db.objectStoreNames.contains(STORE_PHOTO_THUMBS)) {
+        db.createObjectStore(STORE_PHOTO_THUMBS, { keyPath: "id" });
+      }
+      // catalogs: 自分で読み込んだメーカーカタログ（同梱のものは catalog/ から fetch）
+      if (!db.objectStoreNames.contains(STORE_CATALOGS)) {
+        db.createObjectStore(STORE_CATALOGS, { keyPath: "id", autoIncrement: true });
+      }
+
+      // trash: 削除した絵の具/パレット（TRASH_DAYS 日で完全に消す）
+      if (!db.objectStoreNames.contains(STORE_TRASH)) {
+        const ts = db.createObjectStore(STORE_TRASH, { keyPath: "id", autoIncrement: true });
+        ts.createIndex("deletedAt", "deletedAt", { unique: false });
+      }
+      if (e.oldVersion > 0 && e.oldVersion < 8) clearDanglingSlots(req.transaction);
+
+      // tombstones: 消したレコードの uid（同期で相手にも消えたことを伝える）
+      if (!db.objectStoreNames.contains(STORE_TOMBSTONES)) {
+        const ds = db.createObjectStore(STORE_TOMBSTONES, { keyPath: "uid" });
+        ds.createIndex("deletedAt", "deletedAt", { unique: false });
+      }
+
+      // snapshots: 復元ポイント（全ストアの丸ごとコピー）/ meta: 書き出し先フォルダなどの設定
+      if (!db.objectStoreNames.contains(STORE_SNAPSHOTS)) {
+        const ss = db.createObjectStore(STORE_SNAPSHOTS, { keyPath: "id", autoIncrement: true });
+        ss.createIndex("createdAt", "createdAt", { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORE_META)) {
+        db.createObjectStore(STORE_META, { keyPath: "key" });
+      }
+      // snapshotPhotos: 復元ポイントの写真本体。同じ写真は1つだけ持ち、復元ポイントからは key で指す
+      if (!db.objectStoreNames.contains(STORE_SNAPSHOT_PHOTOS)) {
+        db.createObjectStore(STORE_SNAPSHOT_PHOTOS, { keyPath: "key" });
+      }
+
+      // uid: 端末をまたいで同じレコードを見分ける。既存レコードへの付与は ensureUids で
+      for (const name of [STORE, STORE_PALETTES, STORE_RECIPES]) {
+        const s = req.transaction.objectStore(name);
+        if (!s.indexNames.contains("uid")) s.createIndex("uid", "uid", { unique: true });
+      }
+
+      if (e.oldVersion > 0 && e.oldVersion < 4) migratePhotoDataUrls(req.transaction);
+      else if (e.oldVersion === 4) migratePhotoIdToGallery(req.transaction);
+      if (e.oldVersion > 0 && e.oldVersion < 12) migrateRecipePhotos(req.transaction);
+      if (e.oldVersion > 0 && e.oldVersion < 13) migratePhotoThumbs(req.transaction);
+    };
+
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// uid が無いレコード（v6 より前に作ったもの）に付ける
+async function ensureUids() {
+  for (const name of [STORE, STORE_PALETTES, STORE_RECIPES]) {
+    const missing = (await getAllFrom(name)).filter(r => !isUid(r.uid));
+    if (!missing.length) continue;
+    await withStoreName(name, "readwrite", (store) => {
+      for (const r of missing) store.put({ ...r, uid: newUid() });
+    });
+  }
+}
+
+async function withStore(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const store = tx.objectStore(STORE);
+    const out = fn(store);
+
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function withStoreName(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    const out = fn(store);
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function getAllFrom(storeName) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const store = tx.objectStore(storeName);
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getAllKeysFrom(storeName) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(storeName, "readonly").objectStore(storeName).getAllKeys();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getAllPaints() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readonly");
+    const store = tx.objectStore(STORE);
+    const req = store.getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function addPaint(paint, { batch } = {}) {
+  paint.uid = paint.uid || newUid();
+  paint.createdAt = paint.createdAt || nowISO();
+  paint.updatedAt = nowISO();
+  applyInventoryStatus(paint);
+  const req = await withStore("readwrite", (store) => store.add(paint));
+  logChanges(`「${paint.name || ""}」を追加`, [{ store: STORE, key: req.result, before: null, after: { ...paint, id: req.result } }], batch);
+  return req.result;
+}
+
+async function updatePaint(id, patch, { batch } = {}) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    const getReq = store.get(id);
+
+    getReq.onsuccess = () => {
+      const cur = getReq.result;
+      if (!cur) return resolve(false);
+
+      const next = { ...cur, ...patch, id, updatedAt: nowISO() };
+      // 本数が変わった時だけ。「空」を自分で選んだのを本数で勝手に戻さない
+      if ("units" in patch && patch.units !== cur.units) applyInventoryStatus(next);
+      const putReq = store.put(next);
+
+      putReq.onsuccess = () => {
+        logChanges(`「${next.name || ""}」を変更`, [{ store: STORE, key: id, before: cur, after: next }], batch);
+        resolve(true);
+      };
+      putReq.onerror = () => reject(putReq.error);
+    };
+
+    getReq.onerror = () => reject(getReq.error);
+  });
+}
+
+async function deletePaint(id) {
+  // ゴミ箱へ移す。写真は完全に消す時まで残し、この絵の具を置いていたマスは空にして場所を覚えておく
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, STORE_PALETTES, STORE_SLOTS, STORE_TRASH, STORE_TOMBSTONES], "readwrite");
+    const store = tx.objectStore(STORE);
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const changes = [];
+    const getReq = store.get(id);
+    getReq.onsuccess = () => {
+      const paint = getReq.result;
+      if (!paint) return;
+      changes.push({ store: STORE, key: id, before: paint, after: null });
+      store.delete(id);
+      putTombstone(tx, STORE, paint, changes);
+
+      const slotsReq = slotStore.getAll();
+      const palettesReq = tx.objectStore(STORE_PALETTES).getAll();
+      palettesReq.onsuccess = () => {
+        const names = new Map(palettesReq.result.map(p => [p.id, p.name || ""]));
+        const refs = [];
+        for (const s of slotsReq.result.filter(s => s.paintId === id)) {
+          const next = { ...s, paintId: null, updatedAt: nowISO() };
+          slotStore.put(next);
+          changes.push({ store: STORE_SLOTS, key: [s.paletteId, s.index], before: s, after: next });
+          refs.push({ paletteId: s.paletteId, paletteName: names.get(s.paletteId) || "", index: s.index });
+        }
+        const item = { kind: "paint", deletedAt: nowISO(), record: paint, refs };
+        const addReq = tx.objectStore(STORE_TRASH).add(item);
+        addReq.onsuccess = () => {
+          changes.push({ store: STORE_TRASH, key: addReq.result, before: null, after: { ...item, id: addReq.result } });
+        };
+      };
+    };
+    tx.oncomplete = () => {
+      logChanges(`「${changes[0]?.before.name || ""}」を削除`, changes);
+      resolve();
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// ---------- trash ----------
+// { id, kind: "paint" | "palette", deletedAt, record, refs?: [{ paletteId, paletteName, index }], slots?: [slot] }
+// paint の写真は photos に残したまま（完全に消す時に一緒に消す）
+const TRASH_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function getAllTrash() {
+  const items = await getAllFrom(STORE_TRASH);
+  return items.sort((a, b) => (b.deletedAt || "").localeCompare(a.deletedAt || ""));
+}
+
+const trashDaysLeft = (item) =>
+  Math.max(0, Math.ceil((Date.parse(item.deletedAt) + TRASH_DAYS * DAY_MS - Date.now()) / DAY_MS));
+
+// ゴミ箱から戻す。前のマスが空いていればそこに戻す（埋まっていたら戻さず、その数を返す）
+// 同じ uid のものが同期や取り込みで戻ってきていたら、新しい uid を振って別のものとして戻す（renamed: true）
+async function restoreFromTrash(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, STORE_PALETTES, STORE_SLOTS, STORE_TRASH, STORE_TOMBSTONES], "readwrite");
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const changes = [];
+    let item = null;
+    let skipped = 0;
+    let renamed = false;
+
+    const putSlot = (rec) => {
+      const key = [rec.paletteId, rec.index];
+      const cur = slotStore.get(key);
+      cur.onsuccess = () => {
+        slotStore.put(rec);
+        changes.push({ store: STORE_SLOTS, key, before: cur.result || null, after: rec });
+      };
+    };
+
+    const getReq = tx.objectStore(STORE_TRASH).get(id);
+    getReq.onsuccess = () => {
+      item = getReq.result;
+      if (!item) return;
+      // uid は unique なので、そのまま put すると ConstraintError で何も戻らない
+      const uidReq = tx.objectStore(item.kind === "paint" ? STORE : STORE_PALETTES).index("uid").getKey(item.record.uid ?? "");
+      uidReq.onsuccess = () => {
+        renamed = uidReq.result !== undefined;
+        restore(renamed ? { ...item.record, uid: newUid() } : item.record);
+      };
+    };
+
+    const restore = (record) => {
+      tx.objectStore(STORE_TRASH).delete(id);
+      changes.push({ store: STORE_TRASH, key: id, before: item, after: null });
+
+      // 戻したのは「今の変更」なので、同期では消した記録より新しくなるように
+      if (!renamed) dropTombstone(tx, record.uid, changes);
+
+      if (item.kind === "paint") {
+        const paint = { ...record, updatedAt: nowISO() };
+        tx.objectStore(STORE).put(paint);
+        changes.push({ store: STORE, key: paint.id, before: null, after: paint });
+
+        const palettesReq = tx.objectStore(STORE_PALETTES).getAll();
+        const slotsReq = slotStore.getAll();
+        slotsReq.onsuccess = () => {
+          const palettesById = new Map(palettesReq.result.map(p => [p.id, p]));
+          for (const ref of item.refs || []) {
+            const pal = palettesById.get(ref.paletteId);
+            const cur = slotsReq.result.find(s => s.paletteId === ref.paletteId && s.index === ref.index);
+            if (!pal || ref.index >= pal.slots || cur?.paintId != null) {
+              skipped++;
+              continue;
+            }
+            putSlot({ paletteId: ref.paletteId, index: ref.index, paintId: paint.id, updatedAt: nowISO() });
+          }
+        };
+      }
+
+      if (item.kind === "palette") {
+        const pal = { ...record, updatedAt: nowISO() };
+        tx.objectStore(STORE_PALETTES).put(pal);
+        changes.push({ store: STORE_PALETTES, key: pal.id, before: null, after: pal });
+
+        // その後で完全に消えた絵の具のマスは空にする
+        const keysReq = tx.objectStore(STORE).getAllKeys();
+        keysReq.onsuccess = () => {
+          const alive = new Set(keysReq.result);
+          for (const s of item.slots || []) {
+            const paintId = alive.has(s.paintId) ? s.paintId : null;
+            if (s.paintId != null && paintId == null) skipped++;
+            putSlot({ ...s, paintId });
+          }
+        };
+      }
+    };
+
+    tx.oncomplete = () => {
+      if (item) logChanges(`「${item.record.name || ""}」をゴミ箱から戻した`, changes);
+      resolve({ item, skipped, renamed });
+    };
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 完全に消す（絵の具の写真も）。ids を省くと期限切れのものだけ
+async function purgeTrash(ids = null) {
+  const items = await getAllTrash();
+  const targets = ids
+    ? items.filter(it => ids.includes(it.id))
+    : items.filter(it => trashDaysLeft(it) === 0);
+  if (!targets.length) return 0;
+
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_TRASH, STORE_PHOTOS], "readwrite");
+    for (const it of targets) {
+      tx.objectStore(STORE_TRASH).delete(it.id);
+      if (it.kind === "paint") {
+        for (const ph of paintPhotos(it.record)) tx.objectStore(STORE_PHOTOS).delete(ph.photoId);
+      }
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  // 消した写真を書き戻す履歴が残っていると中途半端に戻るので捨てる
+  clearHistory();
+  return targets.length;
+}
+
+// ---------- tombstones ----------
+// { uid, kind: "paint" | "palette" | "recipe", deletedAt, receivedAt? }
+// 同期の相手に「消した」を伝えるための記録。TOMBSTONE_DAYS 日より古いものは捨てる
+const SYNC_KINDS = { [STORE]: "paint", [STORE_PALETTES]: "palette", [STORE_RECIPES]: "recipe" };
+const TOMBSTONE_DAYS = 180;
+
+// tx には STORE_TOMBSTONES を含めておくこと。changes を渡すと履歴にも載せる
+function putTombstone(tx, storeName, record, changes = null) {
+  if (!SYNC_KINDS[storeName] || !isUid(record?.uid)) return;
+  const tomb = { uid: record.uid, kind: SYNC_KINDS[storeName], deletedAt: nowISO() };
+  tx.objectStore(STORE_TOMBSTONES).put(tomb);
+  changes?.push({ store: STORE_TOMBSTONES, key: tomb.uid, before: null, after: tomb });
+}
+
+function dropTombstone(tx, uid, changes = null) {
+  if (!isUid(uid)) return;
+  const store = tx.objectStore(STORE_TOMBSTONES);
+  const req = store.get(uid);
+  req.onsuccess = () => {
+    if (!req.result) return;
+    store.delete(uid);
+    changes?.push({ store: STORE_TOMBSTONES, key: uid, before: req.result, after: null });
+  };
+}
+
+// 丸ごと置き換える時（復元ポイント・バックアップの置き換え）の削除記録
+// kept: ストア名 -> 置き換え後に残る uid の Set。今あってそこに無いものには削除記録を残し、
+// 残るものの削除記録は消す（戻したことを伝える）。tombstones は置き換える側が持っていた削除記録で、
+// 今あるものより新しい時だけ入れる。tx には kept のストアと STORE_TOMBSTONES を含め、clear より先に呼ぶこと
+function tombstoneReplaced(tx, kept, tombstones = []) {
+  const tombStore = tx.objectStore(STORE_TOMBSTONES);
+  const keptUids = new Set([...kept.values()].flatMap(uids => [...uids]));
+  for (const t of tombstones) {
+    if (!isUid(t?.uid) || keptUids.has(t.uid)) continue;
+    const req = tombStore.get(t.uid);
+    req.onsuccess = () => {
+      if (!req.result || req.result.deletedAt < t.deletedAt) tombStore.put(t);
+    };
+  }
+  for (const uid of keptUids) tombStore.delete(uid);
+  for (const [storeName, uids] of kept) {
+    const req = tx.objectStore(storeName).getAll();
+    req.onsuccess = () => {
+      for (const rec of req.result) {
+        if (!uids.has(rec.uid)) putTombstone(tx, storeName, rec);
+      }
+    };
+  }
+}
+
+async function pruneTombstones() {
+  const limit = new Date(Date.now() - TOMBSTONE_DAYS * DAY_MS).toISOString();
+  await withStoreName(STORE_TOMBSTONES, "readwrite", (store) => {
+    store.index("deletedAt").openCursor(IDBKeyRange.upperBound(limit)).onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+// DB v8: これまでの削除で残っていた、もう無い絵の具を指すマスを空にする
+function clearDanglingSlots(tx) {
+  const keysReq = tx.objectStore(STORE).getAllKeys();
+  keysReq.onsuccess = () => {
+    const alive = new Set(keysReq.result);
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const cursorReq = slotStore.openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (!cursor) return;
+      const s = cursor.value;
+      if (s.paintId != null && !alive.has(s.paintId)) cursor.update({ ...s, paintId: null });
+      cursor.continue();
+    };
+  };
+}
+
+function trashRefsText(item) {
+  if (item.kind === "palette") {
+    const filled = (item.slots || []).filter(s => s.paintId != null).length;
+    return `${item.record.slots || 0}マス（絵の具 ${filled}）`;
+  }
+  const refs = item.refs || [];
+  if (!refs.length) return "パレットには置いてなかった";
+  const byPalette = new Map();
+  for (const r of refs) {
+    const name = r.paletteName || "パレット";
+    byPalette.set(name, [...(byPalette.get(name) || []), r.index + 1]);
+  }
+  return "置いてあった場所: " + [...byPalette].map(([name, idx]) => `「${name}」${idx.join(", ")}番`).join(" / ");
+}
+
+async function renderTrash() {
+  const items = await getAllTrash();
+  $("trashCount").textContent = items.length ? String(items.length) : "";
+  $("trashEmpty").hidden = items.length !== 0;
+  $("btnEmptyTrash").disabled = items.length === 0;
+  $("trashList").innerHTML = items.map(it => `
+    <div class="pickerItem trashItem">
+      ${it.kind === "paint" ? swatchHtml(it.record, "pickerSwatch") : `<span class="pickerSwatch trashIcon">▦</span>`}
+      <div class="trashItem__body">
+        <div class="pickerTitle">${it.kind === "palette" ? "パレット " : ""}${escapeHtml(it.record.name || "")}</div>
+        ${it.kind === "paint" ? `<div class="pickerMeta">${escapeHtml(it.record.brand || "メーカー未設定")}${it.record.code ? ` #${escapeHtml(it.record.code)}` : ""}</div>` : ""}
+        <div class="pickerMeta">${escapeHtml(trashRefsText(it))}</div>
+        <div class="pickerMeta">${escapeHtml(it.deletedAt.slice(0, 10))} に削除・あと ${trashDaysLeft(it)} 日で完全に消える</div>
+      </div>
+      <div class="trashItem__actions">
+        <button type="button" class="btn btn--ghost btn--sm" data-act="restore" data-id="${it.id}">戻す</button>
+        <button type="button" class="btn btn--danger btn--sm" data-act="purge" data-id="${it.id}">完全に削除</button>
+      </div>
+    </div>
+  `).join("");
+}
+
+// ---------- history (undo / redo) ----------
+// 変更をレコード単位の before / after で覚えておき、書き戻して元に戻す / やり直す
+// change: { store, key, before, after }（before / after が null は「そのレコードが無い」）
+// 画面を開いている間だけの履歴。復元(バックアップ)をしたら捨てる
+const HISTORY_LIMIT = 50;
+let undoStack = []; // [{ label, changes }]
+let redoStack = [];
+
+// batch: withHistory から渡されたもの。あればそこにためて、withHistory の終わりに1手として載せる
+function logChanges(label, changes, batch = null) {
+  if (!changes.length) return;
+  if (batch) {
+    batch.changes.push(...changes);
+    return;
+  }
+  undoStack.push({ label, changes });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  renderHistoryButtons();
+}
+
+// 1回の操作で何か所も書き換えるもの（マス数を減らす = updatePalette + trimSlotsBeyond 等）は1手にまとめる
+// まとめるのは fn が { batch } を渡した書き込みだけ。await の間に別の操作で変わったものは混ぜない
+async function withHistory(label, fn) {
+  const batch = { changes: [] };
+  try {
+    return await fn(batch);
+  } finally {
+    logChanges(label, batch.changes);
+  }
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  renderHistoryButtons();
+}
+
+async function applyHistoryChanges(changes, side) {
+  const db = await openDB();
+  const stores = [...new Set([...changes.map(c => c.store), STORE_TOMBSTONES])];
+  // 戻す時は後の変更から順に
+  const list = side === "before" ? [...changes].reverse() : changes;
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, "readwrite");
+    for (const c of list) {
+      const value = c[side];
+      if (value == null) {
+        tx.objectStore(c.store).delete(c.key);
+        putTombstone(tx, c.store, c[side === "before" ? "after" : "before"]);
+      } else if (SYNC_KINDS[c.store] || c.store === STORE_SLOTS) {
+        // 書き戻しも同期では新しい変更として扱う
+        tx.objectStore(c.store).put({ ...value, updatedAt: nowISO() });
+      } else {
+        tx.objectStore(c.store).put(value);
+      }
+    }
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return null;
+  await applyHistoryChanges(entry.changes, "before");
+  redoStack.push(entry);
+  renderHistoryButtons();
+  return entry;
+}
+
+async function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+  await applyHistoryChanges(entry.changes, "after");
+  undoStack.push(entry);
+  renderHistoryButtons();
+  return entry;
+}
+
+function renderHistoryButtons() {
+  const u = undoStack[undoStack.length - 1];
+  const r = redoStack[redoStack.length - 1];
+  $("btnUndo").disabled = !u;
+  $("btnUndo").title = u ? `元に戻す: ${u.label}` : "元に戻す";
+  $("btnRedo").disabled = !r;
+  $("btnRedo").title = r ? `やり直す: ${r.label}` : "やり直す";
+}
+
+let toastTimer = null;
+
+// 消した直後に出す「元に戻す」
+function showUndoToast(message) {
+  $("toastText").textContent = message;
+  $("toast").hidden = false;
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, 8000);
+}
+
+function hideToast() {
+  clearTimeout(toastTimer);
+  $("toast").hidden = true;
+}
+
+// ---------- duplicates ----------
+// 同じ絵の具かどうか: メーカー + 番号 + 色名（全角半角・大文字小文字・空白の違いは無視）
+function paintDupKey(p) {
+  const n = (s) => (s || "").normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+  if (!n(p.name)) return "";
+  return [n(p.brand), n(p.code), n(p.name)].join("|");
+}
+
+function findDuplicatePaints(p, list = paints) {
+  const key = paintDupKey(p);
+  if (!key) return [];
+  return list.filter(x => x.id !== p.id && paintDupKey(x) === key);
+}
+
+// 復元(マージ)で既にあるものとぶつかる絵の具。uid が同じものを優先し、無ければ中身で探す
+// 既にある絵の具1つにぶつけるのは取り込む方の1つだけ（2つで同じレコードを上書きしないように）。
+// 相手がもう取られていたら、ぶつからない新しい絵の具として入れる
+// uid も updatedAt も同じ（同じバックアップをもう一度読んだ等）は確認するまでもないので除く
+function findImportConflicts(incoming, existing) {
+  const byUid = new Map(existing.map(x => [x.uid, x]));
+  const claimed = new Set(); // もう相手が決まった既存の id
+  const matches = new Map(); // incoming index -> existing
+  // uid は1対1なので先に決める（中身で先に取られて uid の相手が無くなるのを防ぐ）
+  incoming.forEach((p, index) => {
+    const match = byUid.get(p.uid);
+    if (!match) return;
+    matches.set(index, match);
+    claimed.add(match.id);
+  });
+  incoming.forEach((p, index) => {
+    const key = paintDupKey(p);
+    if (matches.has(index) || !key) return;
+    const match = existing.find(x => !claimed.has(x.id) && paintDupKey(x) === key);
+    if (!match) return;
+    matches.set(index, match);
+    claimed.add(match.id);
+  });
+  const conflicts = [];
+  incoming.forEach((p, index) => {
+    const match = matches.get(index);
+    if (!match) return;
+    const same = match.uid === p.uid && match.updatedAt === p.updatedAt;
+    conflicts.push({ index, incoming: p, existing: match, same });
+  });
+  return conflicts;
+}
+
+// 新しい方（updatedAt）を採る
+const newestChoice = (c) => ((c.incoming.updatedAt || "") > (c.existing.updatedAt || "") ? "incoming" : "keep");
+
 // ---------- UI state ----------
 let paints = [];
 let editingId = null;
-let currentPhotoDataUrl = "";
-let currentPhotoName = "";
+let currentPhotos = []; // [{ id?, blob, thumb, name, label, url }] id が無いものは未保存、url は blob の object URL
 let palettes = [];
 let activePaletteId = null;
 let activePaletteSlots = []; // records from paletteSlots
 let pickingSlotIndex = null;
+let recipes = [];
+let editingRecipeId = null;
+let recipePhotoEdit; // undefined = 写真はそのまま / null = 外す / { blob, thumb } = 新しく選んだ写真
+let recipePhotoPreviewUrl = "";
+let sampler = null; // 写真から色を取るオーバーレイの状態 { base, imageData, rect, drag, hex }
+let mixMode = false;
+let mixSlotIndexes = []; // 混色プレビューで選んだマス（最大2つ）
+let csvImport = null; // CSV取り込みの途中状態 { fileName, rows, mapping }
+let dupReview = null; // 重複の確認画面 { conflicts, choices, resolve }
+let importReview = null; // 取り込み前の確認画面 { report, resolve }
+let passphraseAsk = null; // パスフレーズの入力画面 { confirm, resolve }
+let bundledCatalogs = null; // catalog/ に同梱のカタログ（一度だけ読む）
+let catalogs = []; // 同梱 + 自分で読み込んだカタログ [{ id?, source, fileName, brand, line, type, colors }]
+let catalogHits = []; // 入力候補 [{ catalog, color }]
+let layoutDraft = null; // レイアウト編集中の下書き { paletteId, rows, columns, cells }
+let slotDrag = null; // マスのドラッグ { from, pointerId, x, y, active, timer, ghost, over }
+let slotDragEndedAt = 0; // ドラッグ直後の click でピッカーが開かないように
+
+// ---------- render ----------
+function matchesQuery(p, q) {
+  if (!q) return true;
+  const hay = [
+    p.brand, p.line, p.name, p.code, p.type, p.status,
+    ...(p.pigments || []),
+    ...(p.tags || []),
+    p.notes
+  ].filter(Boolean).join(" ").toLowerCase();
+  return hay.includes(q.toLowerCase());
+}
+
+function applyFilters(list) {
+  const q = $("q").value.trim();
+  const st = $("filterStatus").value;
+  const pg = $("filterPigment").value;
+  let out = list.filter(p => matchesQuery(p, q));
+  if (st !== "all") out = out.filter(p => p.status === st);
+  if (pg !== "all") out = out.filter(p => hasPigment(p, pg));
+
+  const tr = $("filterTransparency").value;
+  const sn = $("filterStaining").value;
+  const gr = $("filterGranulating").value;
+  const lf = $("filterLightfast").value;
+  if (tr !== "all") out = out.filter(p => p.transparency === tr);
+  if (sn !== "all") out = out.filter(p => p.staining === sn);
+  if (gr === "yes") out = out.filter(p => p.granulating === "slight" || p.granulating === "strong");
+  else if (gr !== "all") out = out.filter(p => p.granulating === gr);
+  if (lf !== "all") out = out.filter(p => (lightfastScore(p.lightfastness) ?? 0) >= Number(lf));
+
+  // 性質での並べ替え: 未設定は常に後ろ
+  const rankOf = (table, v) => {
+    const i = Object.keys(table).indexOf(v);
+    return i < 0 ? null : i;
+  };
+  const byRank = (get, dir) => (a, b) => {
+    const ra = get(a);
+    const rb = get(b);
+    if (ra == null || rb == null) return (ra == null) - (rb == null);
+    return (ra - rb) * dir;
+  };
+
+  const sortBy = $("sortBy").value;
+  const cmp = {
+    updatedDesc: (a,b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""),
+    createdDesc: (a,b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
+    nameAsc: (a,b) => (a.name || "").localeCompare(b.name || "", "ja"),
+    brandAsc: (a,b) => (a.brand || "").localeCompare(b.brand || "", "ja"),
+    transparencyAsc: byRank(p => rankOf(TRANSPARENCY, p.transparency), 1),
+    opacityDesc: byRank(p => p.opacity ?? null, -1),
+    stainingAsc: byRank(p => rankOf(STAINING, p.staining), 1),
+    granulatingDesc: byRank(p => rankOf(GRANULATING, p.granulating), -1),
+    lightfastDesc: byRank(p => lightfastScore(p.lightfastness), -1),
+  }[sortBy] || ((a,b)=>0);
+
+  out.sort(cmp);
+  return out;
+}
+
+function hasPigment(p, pigment) {
+  return (p.pigments || []).includes(pigment);
+}
+
+function allPigments() {
+  const set = new Set();
+  for (const p of paints) for (const pg of (p.pigments || [])) set.add(pg);
+  return [...set].sort(comparePigments);
+}
+
+// 顔料フィルタの選択肢を今のデータから作り直す（選択中の値は残す）
+function renderPigmentOptions(select) {
+  const cur = select.value || "all";
+  const list = allPigments();
+  select.innerHTML = `<option value="all">顔料: 全て</option>` +
+    list.map(pg => `<option value="${escapeHtml(pg)}">${escapeHtml(pg)}</option>`).join("");
+  select.value = list.includes(cur) ? cur : "all";
+}
+
+// 同じ顔料で別メーカーの絵の具（買い替え候補）
+// 顔料構成が完全一致するものを先に、一部一致をその後に並べる
+function findSamePigmentPaints(target) {
+  const mine = target.pigments || [];
+  if (!mine.length) return [];
+  const brand = (target.brand || "").trim().toLowerCase();
+  const out = [];
+  for (const p of paints) {
+    if (p.id === target.id) continue;
+    if ((p.brand || "").trim().toLowerCase() === brand) continue;
+    const theirs = p.pigments || [];
+    const shared = theirs.filter(pg => mine.includes(pg));
+    if (!shared.length) continue;
+    const exact = shared.length === mine.length && theirs.length === mine.length;
+    out.push({ paint: p, shared, exact });
+  }
+  out.sort((a, b) => (b.exact - a.exact) || (b.shared.length - a.shared.length) ||
+    (a.paint.brand || "").localeCompare(b.paint.brand || "", "ja"));
+  return out;
+}
+
+function openSamePigment(target) {
+  $("samePigmentTitle").textContent = `同じ顔料（${(target.pigments || []).join(" + ")}）`;
+  const list = $("samePigmentList");
+  list.innerHTML = "";
+
+  const found = findSamePigmentPaints(target);
+  $("samePigmentEmpty").hidden = found.length !== 0;
+
+  for (const { paint: p, shared, exact } of found) {
+    const item = document.createElement("div");
+    item.className = "pickerItem";
+    item.innerHTML = `
+      ${swatchHtml(p, "pickerSwatch")}
+      <div>
+        <div class="pickerTitle">${escapeHtml(p.name || "")}</div>
+        <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")} / ${escapeHtml(statusLabel(p.status))}</div>
+        <div class="pickerMeta">${escapeHtml((p.pigments || []).join(" + "))}${exact ? "" : `（共通: ${escapeHtml(shared.join(", "))}）`}</div>
+      </div>
+    `;
+    list.appendChild(item);
+  }
+
+  $("samePigmentBackdrop").hidden = false;
+}
+
+function closeSamePigment() {
+  $("samePigmentBackdrop").hidden = true;
+}
+
+// 目標色に近い「持ってる」絵の具を ΔE2000 の小さい順に返す
+// opts.q は matchesQuery と同じ検索、paletteId を指定するとそのパレットに入っている絵の具だけ
+async function findNearestOwned(targetHex, { q = "", type = "all", paletteId = null, limit = 10 } = {}) {
+  const target = hexToLab(targetHex);
+  let list = paints.filter(p =>
+    p.status === "owned" && p.hex && p.hex !== "__INVALID__" && matchesQuery(p, q));
+  if (type !== "all") list = list.filter(p => p.type === type);
+  if (paletteId != null) {
+    const inPalette = new Set((await getSlotsForPalette(paletteId)).map(s => s.paintId));
+    list = list.filter(p => inPalette.has(p.id));
+  }
+  return list
+    .map(p => ({ paint: p, dE: deltaE2000(target, hexToLab(p.hex)) }))
+    .sort((a, b) => a.dE - b.dE)
+    .slice(0, limit);
+}
+
+const deltaELabel = (dE) =>
+  dE < 1 ? "ほぼ同じ" : dE < 3 ? "かなり近い" : dE < 6 ? "近い" : dE < 12 ? "似てる" : "遠い";
+
+function renderNearestOptions() {
+  const select = $("nearPalette");
+  const cur = select.value || "all";
+  select.innerHTML = `<option value="all">パレット: 全て</option>` +
+    palettes.map(p => `<option value="${p.id}">${escapeHtml(p.name || "パレット")}</option>`).join("");
+  select.value = palettes.some(p => String(p.id) === cur) ? cur : "all";
+}
+
+// 検索のたびに増やす。await の間に次の検索が始まっていたら、古い方は何も描かない
+let nearestRequest = 0;
+
+async function renderNearest() {
+  const request = ++nearestRequest;
+  const hex = normalizeHex($("nearHex").value);
+  setHexPreview(hex, "nearHexPreview");
+
+  const list = $("nearList");
+  const empty = $("nearEmpty");
+  if (!hex || hex === "__INVALID__") {
+    list.innerHTML = "";
+    empty.hidden = true;
+    return;
+  }
+
+  const paletteId = $("nearPalette").value === "all" ? null : Number($("nearPalette").value);
+  const found = await findNearestOwned(hex, {
+    q: $("nearQuery").value.trim(),
+    type: $("nearType").value,
+    paletteId,
+  });
+  if (request !== nearestRequest) return;
+
+  list.innerHTML = "";
+  empty.hidden = found.length !== 0;
+  for (const { paint: p, dE } of found) {
+    const item = document.createElement("div");
+    item.className = "pickerItem";
+    item.innerHTML = `
+      ${swatchHtml(p, "pickerSwatch")}
+      <div>
+        <div class="pickerTitle">${escapeHtml(p.name || "")}</div>
+        <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")} / ${escapeHtml(p.hex)}</div>
+      </div>
+      <div class="deltaE">
+        <div>ΔE ${dE.toFixed(1)}</div>
+        <div class="pickerMeta">${deltaELabel(dE)}</div>
+      </div>
+    `;
+    list.appendChild(item);
+  }
+}
+
+function renderStats(list) {
+  const owned = list.filter(p => p.status === "owned").length;
+  const empty = list.filter(p => p.status === "empty").length;
+  const wish = list.filter(p => p.status === "wishlist").length;
+
+  $("stats").textContent = `全 ${list.length} | 持ってる ${owned} | 空/買い足し ${empty} | 買う予定 ${wish}`;
+
+  // 在庫少: 最後の1本が残りわずか
+  const low = list
+    .filter(isLowStock)
+    .sort((a, b) => a.remaining - b.remaining);
+  const box = $("lowStock");
+  box.hidden = low.length === 0;
+  box.innerHTML = low.length
+    ? `<span class="muted">在庫少 (${low.length}):</span>` + low.map(p => `
+        <button type="button" class="tag tag--link" data-id="${p.id}" title="残り約${p.remaining}%">
+          ${escapeHtml(p.name || "")}${p.brand ? ` / ${escapeHtml(p.brand)}` : ""} ・${p.remaining}%
+        </button>`).join("")
+    : "";
+}
+
+function inventoryHtml(p) {
+  if (p.units == null && !p.size && p.remaining == null) return "";
+  const parts = [];
+  if (p.units != null) parts.push(`在庫 ${p.units}${sizeLabel(p) ? ` × ${escapeHtml(sizeLabel(p))}` : ""}`);
+  else if (p.size) parts.push(escapeHtml(sizeLabel(p)));
+  const level = p.units === 0 ? 0 : p.remaining;
+  return `
+    <div class="card__stock ${isLowStock(p) ? "card__stock--low" : ""}">
+      <span>${parts.join("")}</span>
+      ${level != null
+        ? `<span class="stockBar" title="使用中の残量 約${level}%"><span style="width:${level}%"></span></span><span>${level}%</span>`
+        : ""}
+      ${p.units != null
+        ? `<button type="button" class="btn btn--ghost btn--sm" data-act="useUnit" data-id="${p.id}" ${p.units === 0 ? "disabled" : ""} title="1本使い切った">−1</button>
+           <button type="button" class="btn btn--ghost btn--sm" data-act="addUnit" data-id="${p.id}" title="1本買い足した">+1</button>`
+        : ""}
+    </div>
+  `;
+}
+
+// カードに出す性質アイコン（title にフル表記）
+function propertyIconsHtml(p) {
+  const icons = [];
+  const chip = (icon, title) => `<span class="propIcon" title="${escapeHtml(title)}">${icon}</span>`;
+  const transparencyIcon = { T: "◯", ST: "◔", SO: "◕", O: "●" };
+  const stainingIcon = { none: "染0", low: "染1", medium: "染2", high: "染3" };
+  const granulatingIcon = { none: "粒0", slight: "粒", strong: "粒+" };
+
+  if (p.transparency) icons.push(chip(`${transparencyIcon[p.transparency]} ${p.transparency}`, TRANSPARENCY[p.transparency]));
+  if (p.opacity) icons.push(chip(`▦${p.opacity}`, OPACITY[p.opacity]));
+  if (p.staining) icons.push(chip(stainingIcon[p.staining], STAINING[p.staining]));
+  if (p.granulating) icons.push(chip(granulatingIcon[p.granulating], GRANULATING[p.granulating]));
+  if (LIGHTFASTNESS[p.lightfastness]) {
+    icons.push(chip(`☀ ${LIGHTFASTNESS[p.lightfastness].label.replace("Blue Wool ", "BW")}`, `耐光性 ${LIGHTFASTNESS[p.lightfastness].label}`));
+  }
+  return icons.length ? `<div class="card__props">${icons.join("")}</div>` : "";
+}
+
+function recipesUsingPaint(paintId) {
+  return recipes.filter(r => (r.paintIds || []).includes(paintId));
+}
+
+function render() {
+  renderPigmentOptions($("filterPigment"));
+  const filtered = applyFilters(paints);
+  renderStats(filtered);
+
+  const ul = $("list");
+  ul.innerHTML = "";
+
+  $("emptyState").hidden = filtered.length !== 0;
+
+  for (const p of filtered) {
+    const li = document.createElement("li");
+    li.className = "card";
+
+    const badgeClass = p.status === "owned"
+      ? "badge--owned"
+      : p.status === "empty"
+      ? "badge--empty"
+      : "badge--wishlist";
+
+    const usedIn = recipesUsingPaint(p.id);
+
+    li.innerHTML = `
+      <div class="card__top">
+        <div>
+          <div class="titleRow">
+            
+            <div class="cardTitleRow">
+              ${
+                paintThumbUrl(p)
+                  ? `<img class="cardThumb" src="${paintThumbUrl(p)}" alt="swatch" />`
+                  : (p.hex
+                      ? `<span class="swatch" style="background:${escapeHtml(p.hex)}"></span>`
+                      : `<span class="swatch"></span>`
+                    )
+              }
+              <div>
+                <h3 class="card__title">${escapeHtml(p.name || "")}</h3>
+                <div class="card__meta">
+                  <span>${escapeHtml(p.brand || "メーカー未設定")}</span>
+                  ${p.code ? `<span>#${escapeHtml(p.code)}</span>` : ""}
+                  ${p.pigments?.length ? `<span>${escapeHtml(p.pigments.join(" + "))}</span>` : ""}
+                  <span>${escapeHtml(typeLabel(p.type))}</span>
+                  ${p.tintHex
+                    ? `<span class="hexPair" title="濃い / 薄い">${swatchHtml({ hex: p.hex }, "swatch swatch--sm")}${swatchHtml({ hex: p.tintHex }, "swatch swatch--sm")}</span>`
+                    : ""}
+                  ${paintPhotos(p).length ? `<span>📷 ${escapeHtml(paintPhotos(p).map(ph => photoLabel(ph.label)).join(" / "))}</span>` : ""}
+                </div>
+              </div>
+            </div>
+            
+          </div>
+            
+          </h3>
+          
+        </div>
+        <span class="badge ${badgeClass}">${escapeHtml(statusLabel(p.status))}</span>
+      </div>
+
+      ${propertyIconsHtml(p)}
+
+      ${inventoryHtml(p)}
+
+      ${p.notes ? `<div class="card__notes">${escapeHtml(p.notes)}</div>` : ""}
+
+      ${p.tags && p.tags.length
+        ? `<div class="card__tags">${p.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join("")}</div>`
+        : ""
+      }
+
+      ${usedIn.length
+        ? `<div class="card__tags"><span class="muted">混色:</span>${usedIn.map(r => `<button type="button" class="tag tag--link" data-act="recipe" data-id="${r.id}">${escapeHtml(r.name || "レシピ")}</button>`).join("")}</div>`
+        : ""
+      }
+
+      <div class="card__actions">
+        <button class="btn btn--ghost" data-act="edit" data-id="${p.id}">編集</button>
+        ${p.pigments?.length ? `<button class="btn btn--ghost" data-act="samePigment" data-id="${p.id}">同じ顔料</button>` : ""}
+        <button class="btn btn--danger" data-act="del" data-id="${p.id}">削除</button>
+      </div>
+    `;
+
+    ul.appendChild(li);
+  }
+}
+
+function getActivePalette() {
+  return palettes.find(p => p.id === activePaletteId) || null;
+}
+
+function slotPaintId(index) {
+  const rec = activePaletteSlots.find(s => s.index === index);
+  return rec ? rec.paintId : null;
+}
+
+function paintById(id) {
+  return paints.find(p => p.id === id) || null;
+}
+
+function swatchHtml(p, cls) {
+  const thumb = paintThumbUrl(p);
+  if (thumb) return `<img class="${cls}" src="${thumb}" alt="swatch" />`;
+  if (p?.hex && p.hex !== "__INVALID__") return `<div class="${cls}" style="background:${escapeHtml(p.hex)}"></div>`;
+  return `<div class="${cls}"></div>`;
+}
+
+function renderPalettesUI() {
+  const tabs = $("paletteTabs");
+  const grid = $("paletteGrid");
+  const empty = $("paletteEmpty");
+  const controls = $("paletteControls");
+
+  tabs.innerHTML = "";
+
+  if (!palettes.length) {
+    empty.hidden = false;
+    controls.hidden = true;
+    grid.hidden = true;
+    return;
+  }
+
+  empty.hidden = true;
+
+  for (const p of palettes) {
+    const el = document.createElement("div");
+    el.className = "paletteTab" + (p.id === activePaletteId ? " paletteTab--active" : "");
+    el.textContent = `${p.name || "パレット"} (${p.slots})`;
+    el.addEventListener("click", async () => {
+      activePaletteId = p.id;
+      mixSlotIndexes = [];
+      activePaletteSlots = await getSlotsForPalette(activePaletteId);
+      renderPalettesUI();
+    });
+    tabs.appendChild(el);
+  }
+
+  const ap = getActivePalette();
+  if (!ap) return;
+
+  controls.hidden = false;
+  grid.hidden = false;
+
+  // Controls values
+  $("paletteName").value = ap.name || "";
+  $("paletteSlots").value = String(ap.slots ?? 13);
+
+  // レイアウトがあれば行・列どおりに、無ければ従来の並べるだけ
+  const layout = ap.layout ? normalizeLayout(ap.layout) : null;
+  for (const id of ["btnSlotsMinus", "btnSlotsPlus", "paletteSlots"]) $(id).disabled = !!layout;
+  $("layoutBadge").hidden = !layout;
+  if (layoutDraft && layoutDraft.paletteId !== ap.id) {
+    if ($("layoutEditor").open) openLayoutDraft(ap);
+    else layoutDraft = null;
+  }
+
+  grid.classList.toggle("paletteGrid--layout", !!layout);
+  grid.classList.toggle("paletteGrid--dense", !!layout && layout.columns > 6);
+  grid.style.gridTemplateColumns = layout ? `repeat(${layout.columns}, minmax(0, 1fr))` : "";
+
+  // Grid
+  grid.innerHTML = "";
+  const cells = layout ? layout.cells : new Array(ap.slots).fill("");
+  let i = -1;
+  for (const kind of cells) {
+    if (layout && !isPanCell(kind)) {
+      const cell = document.createElement("div");
+      cell.className = `slotCell slotCell--${kind}`;
+      cell.title = CELL_KINDS[kind];
+      grid.appendChild(cell);
+      continue;
+    }
+    i++;
+    const pid = slotPaintId(i);
+    const p = pid ? paintById(pid) : null;
+
+    const slot = document.createElement("div");
+    slot.className = "slot" + (kind ? ` slot--${kind}` : "");
+    if (p) slot.title = `${i + 1}. ${p.name || ""}${p.brand ? ` / ${p.brand}` : ""}`;
+    slot.dataset.index = String(i);
+    if (p) slot.dataset.paint = "1";
+
+    slot.innerHTML = `
+      <div class="slotIndex">${i + 1}</div>
+      ${swatchHtml(p, "slotSwatch")}
+      <div class="slotName">${p ? escapeHtml(p.name || "") : "＋ 追加"}</div>
+      <div class="slotMeta">${p ? escapeHtml(p.brand || "") : ""}</div>
+    `;
+
+    if (mixSlotIndexes.includes(i)) slot.classList.add("slot--selected");
+
+    const index = i;
+    slot.addEventListener("click", () => {
+      if (Date.now() - slotDragEndedAt < 400) return;
+      if (mixMode) toggleMixSlot(index);
+      else openPicker(index);
+    });
+    grid.appendChild(slot);
+  }
+
+  renderPaletteMix();
+}
+
+function toggleMixSlot(index) {
+  if (mixSlotIndexes.includes(index)) {
+    mixSlotIndexes = mixSlotIndexes.filter(i => i !== index);
+  } else {
+    // 3つ目を選んだら古い方を外す
+    mixSlotIndexes = [...mixSlotIndexes, index].slice(-2);
+  }
+  renderPalettesUI();
+}
+
+function mixInputHtml(index) {
+  const p = index != null ? paintById(slotPaintId(index)) : null;
+  if (!p) return `<div class="mixSwatch"></div><div class="slotMeta">マスを選んでね</div>`;
+  return `
+    ${swatchHtml(p, "mixSwatch")}
+    <div class="slotName">${index + 1}. ${escapeHtml(p.name || "")}</div>
+    ${p.hex ? "" : `<div class="slotMeta">HEX未設定</div>`}
+  `;
+}
+
+function renderPaletteMix() {
+  $("btnMixMode").classList.toggle("btn--primary", mixMode);
+  $("paletteMix").hidden = !mixMode;
+  if (!mixMode) return;
+
+  const [ia, ib] = mixSlotIndexes;
+  const a = ia != null ? paintById(slotPaintId(ia)) : null;
+  const b = ib != null ? paintById(slotPaintId(ib)) : null;
+  const ratioA = Number($("mixRatio").value);
+
+  $("mixInputA").innerHTML = mixInputHtml(ia);
+  $("mixInputB").innerHTML = mixInputHtml(ib);
+  $("mixRatioLabel").textContent = `${ratioA} : ${100 - ratioA}`;
+
+  const hex = mixHexes([{ hex: a?.hex, ratio: ratioA }, { hex: b?.hex, ratio: 100 - ratioA }]);
+  setHexPreview(a && b ? hex : "", "mixResult");
+  $("mixResultHex").textContent = a && b ? (hex || "—") : "";
+  $("btnMixToRecipe").hidden = !(a && b);
+}
+
+function openPicker(index) {
+  pickingSlotIndex = index;
+  $("pickerQuery").value = "";
+  $("pickerPigment").value = "all";
+  $("pickerBackdrop").hidden = false;
+  renderPickerList();
+}
+
+function closePicker() {
+  $("pickerBackdrop").hidden = true;
+  pickingSlotIndex = null;
+}
+
+function renderPickerList() {
+  const q = $("pickerQuery").value.trim().toLowerCase();
+  const list = $("pickerList");
+  list.innerHTML = "";
+
+  renderPigmentOptions($("pickerPigment"));
+  const pg = $("pickerPigment").value;
+
+  const filtered = paints
+    .filter(p => matchesQuery(p, q)) // 既存の matchesQuery を流用
+    .filter(p => pg === "all" || hasPigment(p, pg));
+
+  for (const p of filtered) {
+    const item = document.createElement("div");
+    item.className = "pickerItem";
+
+    item.innerHTML = `
+      ${swatchHtml(p, "pickerSwatch")}
+      <div>
+        <div class="pickerTitle">${escapeHtml(p.name || "")}</div>
+        <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")} / ${escapeHtml(typeLabel(p.type))}${p.pigments?.length ? ` / ${escapeHtml(p.pigments.join(" + "))}` : ""}</div>
+      </div>
+    `;
+
+    item.addEventListener("click", async () => {
+      const ap = getActivePalette();
+      if (!ap || pickingSlotIndex == null) return;
+      await setSlotPaint(ap.id, pickingSlotIndex, p.id);
+      activePaletteSlots = await getSlotsForPalette(ap.id);
+      renderPalettesUI();
+      closePicker();
+    });
+
+    list.appendChild(item);
+  }
+}
+
+function recipeSwatchHtml(r, cls) {
+  const url = r.resultPhotoId != null ? thumbUrls.get(r.resultPhotoId) : "";
+  if (url) return `<img class="${cls}" src="${url}" alt="result" />`;
+  return swatchHtml({ hex: r.resultHex }, cls);
+}
+
+function renderRecipes() {
+  // 絵の具が増減していることがあるので、編集中フォームの選択肢も作り直す
+  for (const row of $("recipeItems").querySelectorAll(".recipeItem")) {
+    const select = row.querySelector(".recipeItemPaint");
+    select.innerHTML = paintOptionsHtml(Number(select.value) || null);
+    updateRecipeItemSwatch(row);
+  }
+  updateRecipeMixPreview();
+
+  const ul = $("recipeList");
+  ul.innerHTML = "";
+  $("recipeEmpty").hidden = recipes.length !== 0;
+
+  const sorted = [...recipes].sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+  for (const r of sorted) {
+    const total = (r.items || []).reduce((s, it) => s + (Number(it.ratio) || 0), 0) || 1;
+    const li = document.createElement("li");
+    li.className = "card";
+    li.innerHTML = `
+      <div class="cardTitleRow">
+        ${recipeSwatchHtml(r, "cardThumb")}
+        <h3 class="card__title">${escapeHtml(r.name || "レシピ")}</h3>
+      </div>
+
+      <div class="recipeIngredients">
+        ${(r.items || []).map(it => {
+          const p = paintById(it.paintId);
+          return `
+            <div class="recipeIngredient">
+              ${swatchHtml(p, "swatch swatch--sm")}
+              <span>${p ? escapeHtml(p.name || "") : "（削除済みの絵の具）"}</span>
+              <span class="muted">${p ? escapeHtml(p.brand || "") : ""}</span>
+              <span class="recipeRatio">${escapeHtml(String(it.ratio))}（${Math.round((Number(it.ratio) || 0) / total * 100)}%）</span>
+            </div>`;
+        }).join("")}
+      </div>
+
+      ${r.notes ? `<div class="card__notes">${escapeHtml(r.notes)}</div>` : ""}
+
+      <div class="card__actions">
+        <button class="btn btn--ghost" data-act="edit" data-id="${r.id}">編集</button>
+        <button class="btn btn--danger" data-act="del" data-id="${r.id}">削除</button>
+      </div>
+    `;
+    ul.appendChild(li);
+  }
+}
+
+function paintOptionsHtml(selectedId) {
+  const sorted = [...paints].sort((a, b) =>
+    (a.brand || "").localeCompare(b.brand || "", "ja") || (a.name || "").localeCompare(b.name || "", "ja"));
+  return `<option value="">絵の具を選ぶ</option>` + sorted.map(p =>
+    `<option value="${p.id}"${p.id === selectedId ? " selected" : ""}>${escapeHtml(p.name || "")}${p.brand ? ` / ${escapeHtml(p.brand)}` : ""}</option>`
+  ).join("");
+}
+
+// スライダーは 0〜10。それより大きい割合（古いレシピや手入力）の時は max を広げて値を切り詰めない
+const RECIPE_SLIDER_MAX = 10;
+
+function addRecipeItemRow(item = {}) {
+  const ratio = Math.max(0, Number(item.ratio ?? 1) || 0);
+  const row = document.createElement("div");
+  row.className = "recipeItem";
+  row.innerHTML = `
+    <span class="swatch swatch--sm"></span>
+    <select class="recipeItemPaint">${paintOptionsHtml(item.paintId ?? null)}</select>
+    <input class="recipeItemSlider" type="range" min="0" max="${Math.max(RECIPE_SLIDER_MAX, ratio)}" step="0.5" value="${ratio}" />
+    <input class="recipeItemRatio" type="number" min="0" step="0.5" value="${ratio}" />
+    <button type="button" class="btn btn--ghost" data-act="removeItem">×</button>
+  `;
+  $("recipeItems").appendChild(row);
+  updateRecipeItemSwatch(row);
+}
+
+function updateRecipeItemSwatch(row) {
+  const p = paintById(Number(row.querySelector(".recipeItemPaint").value));
+  row.querySelector(".swatch").outerHTML = swatchHtml(p, "swatch swatch--sm");
+}
+
+// 入力中のレシピから予想色を出す（HEX未設定の絵の具は計算から外す）
+// 混ぜる相手が無いと「混色」ではないので、HEX のある絵の具が2色以上そろった時だけ
+function updateRecipeMixPreview() {
+  const parts = readRecipeForm().items
+    .map(it => ({ paintId: it.paintId, hex: paintById(it.paintId)?.hex, ratio: it.ratio }))
+    .filter(p => p.hex && p.hex !== "__INVALID__");
+  const hex = new Set(parts.map(p => p.paintId)).size >= 2 ? mixHexes(parts) : "";
+  setHexPreview(hex, "recipeMixSwatch");
+  $("recipeMixHex").textContent = hex || "HEXのある絵の具を2色以上選ぶと表示されるよ";
+  $("btnUseMixHex").hidden = !hex;
+}
+
+function setRecipePhotoPreview(blob) {
+  if (recipePhotoPreviewUrl) URL.revokeObjectURL(recipePhotoPreviewUrl);
+  recipePhotoPreviewUrl = blob ? URL.createObjectURL(blob) : "";
+  const img = $("recipePhotoPreview");
+  img.hidden = !blob;
+  img.src = recipePhotoPreviewUrl;
+  $("btnRemoveRecipePhoto").hidden = !blob;
+}
+
+function resetRecipeForm() {
+  editingRecipeId = null;
+  $("recipeName").value = "";
+  $("recipeItems").innerHTML = "";
+  addRecipeItemRow();
+  addRecipeItemRow();
+  updateRecipeMixPreview();
+  $("recipeHex").value = "";
+  setHexPreview("", "recipeHexPreview");
+  recipePhotoEdit = undefined;
+  setRecipePhotoPreview(null);
+  $("recipeNotes").value = "";
+
+  $("btnCancelRecipe").hidden = true;
+  $("btnSaveRecipe").textContent = "保存";
+}
+
+function fillRecipeForm(r) {
+  editingRecipeId = r.id;
+  $("recipeName").value = r.name || "";
+  $("recipeItems").innerHTML = "";
+  for (const it of (r.items || [])) addRecipeItemRow(it);
+  updateRecipeMixPreview();
+  $("recipeHex").value = r.resultHex || "";
+  setHexPreview(r.resultHex || "", "recipeHexPreview");
+  recipePhotoEdit = undefined;
+  setRecipePhotoPreview(null);
+  // 本体は photos から読む（読み終わる前に別のレシピを開いたり写真を変えたりしたら使わない）
+  if (r.resultPhotoId != null) {
+    getPhoto(r.resultPhotoId).then((ph) => {
+      if (ph?.blob && editingRecipeId === r.id && recipePhotoEdit === undefined) setRecipePhotoPreview(ph.blob);
+    });
+  }
+  $("recipeNotes").value = r.notes || "";
+
+  $("btnCancelRecipe").hidden = false;
+  $("btnSaveRecipe").textContent = "更新";
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+// パレットの混色プレビューなどから、絵の具と割合を入れた状態で新規レシピを始める
+function prefillRecipeForm(items, name) {
+  resetRecipeForm();
+  $("recipeItems").innerHTML = "";
+  for (const it of items) addRecipeItemRow(it);
+  $("recipeName").value = name || "";
+  updateRecipeMixPreview();
+  window.scrollTo({ top: 0, behavior: "smooth" });
+}
+
+function readRecipeForm() {
+  const items = [...$("recipeItems").querySelectorAll(".recipeItem")]
+    .map(row => ({
+      paintId: Number(row.querySelector(".recipeItemPaint").value) || null,
+      ratio: Math.max(0, Number(row.querySelector(".recipeItemRatio").value) || 0),
+    }))
+    .filter(it => it.paintId != null && it.ratio > 0);
+
+  return {
+    name: $("recipeName").value.trim(),
+    items,
+    resultHex: normalizeHex($("recipeHex").value),
+    notes: $("recipeNotes").value.trim(),
+  };
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// ---------- palette layouts ----------
+// palette.layout = { rows, columns, cells }（無ければ今までどおり slots 個を並べるだけ）
+// cells は左上から行ごとに "half" ハーフパン / "full" フルパン / "well" 混色皿 / "off" 使わない
+// 絵の具が入るのは half / full だけで、その並び順がマス番号（paletteSlots.index）。palette.slots はその数
+const CELL_KINDS = { half: "ハーフパン", full: "フルパン", well: "混色皿", off: "使わない" };
+const LAYOUT_MAX = 16; // 行・列それぞれの上限
+
+const isPanCell = (kind) => kind === "half" || kind === "full";
+const layoutPanCount = (layout) => layout.cells.filter(isPanCell).length;
+
+function makeLayout(rows, columns, fill = "half") {
+  return { rows, columns, cells: new Array(rows * columns).fill(fill) };
+}
+
+// rows 行ぶんの並びを1つにする（テンプレート用）
+function layoutFromRows(rows) {
+  return { rows: rows.length, columns: rows[0].length, cells: rows.flat() };
+}
+
+// 市販のパレットケースによくある並び
+const PALETTE_PRESETS = [
+  { id: "half12", name: "ハーフパン 12色（2×6）", layout: () => makeLayout(2, 6) },
+  { id: "half24", name: "ハーフパン 24色（2×12）", layout: () => makeLayout(2, 12) },
+  { id: "full12", name: "フルパン 12色（2×6）", layout: () => makeLayout(2, 6, "full") },
+  {
+    id: "pocket12",
+    name: "ポケットボックス 12色 + 混色皿",
+    layout: () => layoutFromRows([
+      new Array(6).fill("half"),
+      new Array(6).fill("half"),
+      new Array(6).fill("well"),
+    ]),
+  },
+  {
+    id: "mixed16",
+    name: "フル 8 + ハーフ 8（2×8）",
+    layout: () => layoutFromRows([
+      ["full", "full", "half", "half", "half", "half", "full", "full"],
+      ["full", "full", "half", "half", "half", "half", "full", "full"],
+    ]),
+  },
+  {
+    id: "tube18",
+    name: "チューブ用 18マス + 混色皿（4×6）",
+    layout: () => layoutFromRows([
+      new Array(6).fill("half"),
+      new Array(6).fill("half"),
+      new Array(6).fill("half"),
+      ["well", "well", "off", "off", "well", "well"],
+    ]),
+  },
+];
+
+// 壊れた値は null（= レイアウト無し）に。絵の具が入るマスが1つも無いものも無効
+function normalizeLayout(layout) {
+  const rows = Math.floor(Number(layout?.rows));
+  const columns = Math.floor(Number(layout?.columns));
+  if (!(rows >= 1 && rows <= LAYOUT_MAX && columns >= 1 && columns <= LAYOUT_MAX)) return null;
+  if (!Array.isArray(layout.cells) || layout.cells.length !== rows * columns) return null;
+  const cells = layout.cells.map(k => (CELL_KINDS[k] ? k : "off"));
+  const out = { rows, columns, cells };
+  return layoutPanCount(out) ? out : null;
+}
+
+// 行・列を変えても、残る位置のマスの種類はそのまま
+function resizeLayout(layout, rows, columns) {
+  const next = makeLayout(rows, columns);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      if (r < layout.rows && c < layout.columns) next.cells[r * columns + c] = layout.cells[r * layout.columns + c];
+    }
+  }
+  return next;
+}
+
+// レイアウト無しのパレットから編集を始める時の下書き（6列で今のマス数ぶん）
+function layoutFromSlots(slots) {
+  const columns = Math.min(6, slots);
+  const rows = Math.min(LAYOUT_MAX, Math.ceil(slots / columns));
+  const layout = makeLayout(rows, columns, "off");
+  for (let i = 0; i < Math.min(slots, rows * columns); i++) layout.cells[i] = "half";
+  return layout;
+}
+
+function openLayoutDraft(ap) {
+  const base = ap.layout ? normalizeLayout(ap.layout) : null;
+  layoutDraft = { paletteId: ap.id, ...(base || layoutFromSlots(ap.slots || 13)) };
+  layoutDraft.cells = [...layoutDraft.cells];
+  $("layoutPreset").value = "";
+  renderLayoutEditor();
+}
+
+function renderLayoutEditor() {
+  const d = layoutDraft;
+  if (!d) return;
+  $("layoutRows").value = String(d.rows);
+  $("layoutCols").value = String(d.columns);
+
+  const grid = $("layoutGrid");
+  grid.style.gridTemplateColumns = `repeat(${d.columns}, minmax(0, 1fr))`;
+  let n = 0;
+  grid.innerHTML = d.cells.map((kind, i) => `
+    <button type="button" class="layoutCell layoutCell--${kind}" data-cell="${i}" title="${CELL_KINDS[kind]}">
+      ${isPanCell(kind) ? ++n : ""}
+    </button>
+  `).join("");
+
+  const count = layoutPanCount(d);
+  const ap = getActivePalette();
+  const lost = ap ? activePaletteSlots.filter(s => s.index >= count && s.paintId != null).length : 0;
+  $("layoutInfo").textContent =
+    `絵の具のマス ${count}（フル ${d.cells.filter(k => k === "full").length} / ハーフ ${d.cells.filter(k => k === "half").length}）・混色皿 ${d.cells.filter(k => k === "well").length}` +
+    (lost ? ` ／ 保存すると絵の具の入ったマスが ${lost} 個はみ出すよ` : "");
+  $("btnLayoutSave").disabled = count === 0;
+}
+
+// ---------- palette export ----------
+// 書き出し・印刷用のマス目: レイアウトがあればそのまま、無ければ6列で並べる
+function paletteChartCells(ap) {
+  const layout = ap.layout ? normalizeLayout(ap.layout) : null;
+  const columns = layout ? layout.columns : Math.min(6, ap.slots);
+  const kinds = layout ? layout.cells : new Array(ap.slots).fill("half");
+  let index = -1;
+  const cells = kinds.map(kind => ({ kind, index: isPanCell(kind) ? ++index : null }));
+  return { columns, rows: Math.ceil(cells.length / columns), cells };
+}
+
+const CHART_CELL_W = 132;
+const CHART_CELL_H = 168;
+const CHART_PAD = 16;
+const CHART_TITLE_H = 44;
+
+// 長い名前は SVG の中で折り返せないので文字数で切る
+const clipText = (s, max) => (s.length > max ? s.slice(0, max - 1) + "…" : s);
+
+// 写真は data URL で埋め込む（SVG 単体で開いても見えるように）
+async function paintSwatchDataUrl(p) {
+  const main = paintPhotos(p)[0];
+  if (!main) return "";
+  const blob = (await getPhotoThumb(main.photoId)) || (await getPhoto(main.photoId))?.blob;
+  return blob ? await blobToDataURL(blob) : "";
+}
+
+async function paletteToSVG(ap) {
+  const { columns, rows, cells } = paletteChartCells(ap);
+  const width = CHART_PAD * 2 + columns * CHART_CELL_W;
+  const height = CHART_PAD * 2 + CHART_TITLE_H + rows * CHART_CELL_H;
+  const parts = [];
+
+  for (const [n, cell] of cells.entries()) {
+    const x = CHART_PAD + (n % columns) * CHART_CELL_W;
+    const y = CHART_PAD + CHART_TITLE_H + Math.floor(n / columns) * CHART_CELL_H;
+    if (cell.kind === "off") continue;
+    if (cell.kind === "well") {
+      parts.push(`<rect x="${x + 6}" y="${y + 6}" width="${CHART_CELL_W - 12}" height="${CHART_CELL_H - 12}" rx="24" fill="#f2f2f2" stroke="#ccc"/>`);
+      continue;
+    }
+
+    const pid = slotPaintId(cell.index);
+    const p = pid ? paintById(pid) : null;
+    const sw = { x: x + 10, y: y + 28, w: CHART_CELL_W - 20, h: cell.kind === "full" ? 86 : 64 };
+    const photo = p ? await paintSwatchDataUrl(p) : "";
+    const hex = p?.hex && p.hex !== "__INVALID__" ? p.hex : "";
+
+    parts.push(`<rect x="${x + 4}" y="${y + 4}" width="${CHART_CELL_W - 8}" height="${CHART_CELL_H - 8}" rx="10" fill="#fff" stroke="#bbb"/>`);
+    parts.push(`<text x="${x + 12}" y="${y + 21}" font-size="13" font-weight="700" fill="#333">${cell.index + 1}</text>`);
+    if (photo) {
+      parts.push(`<image href="${photo}" x="${sw.x}" y="${sw.y}" width="${sw.w}" height="${sw.h}" preserveAspectRatio="xMidYMid slice"/>`);
+    } else {
+      parts.push(`<rect x="${sw.x}" y="${sw.y}" width="${sw.w}" height="${sw.h}" rx="6" fill="${hex ? escapeHtml(hex) : "#fff"}" stroke="#ccc"${hex ? "" : ` stroke-dasharray="4 3"`}/>`);
+    }
+    const ty = sw.y + sw.h;
+    if (p) {
+      parts.push(`<text x="${x + 10}" y="${ty + 20}" font-size="12" fill="#222">${escapeHtml(clipText(p.name || "", 14))}</text>`);
+      parts.push(`<text x="${x + 10}" y="${ty + 36}" font-size="10" fill="#777">${escapeHtml(clipText(p.brand || "", 20))}</text>`);
+    } else {
+      parts.push(`<text x="${x + 10}" y="${ty + 20}" font-size="11" fill="#aaa">（空き）</text>`);
+    }
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="system-ui, -apple-system, 'Hiragino Sans', 'Noto Sans JP', sans-serif">
+<rect width="100%" height="100%" fill="#fafafa"/>
+<text x="${CHART_PAD}" y="${CHART_PAD + 24}" font-size="20" font-weight="700" fill="#222">${escapeHtml(ap.name || "パレット")}</text>
+<text x="${width - CHART_PAD}" y="${CHART_PAD + 24}" font-size="11" fill="#888" text-anchor="end">${todayStamp()}</text>
+${parts.join("\n")}
+</svg>`;
+}
+
+// PNG は SVG を画像として読み込んで2倍で描き直す
+async function svgToPngBlob(svg, scale = 2) {
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  try {
+    const img = await srcToImage(url);
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    return await canvasToBlob(canvas, "image/png");
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+const paletteFileName = (ap, ext) =>
+  `palette-${(ap.name || "palette").replace(/[\\/:*?"<>|\s]+/g, "_")}-${todayStamp()}.${ext}`;
+
+// 実物の色見本を塗って写真に撮る用の A4 シート（空のカード + マス番号 + 今入ってる絵の具名）
+function renderPrintSheet(ap) {
+  const { columns, cells } = paletteChartCells(ap);
+  const cards = cells.map(cell => {
+    if (!isPanCell(cell.kind)) return `<div class="printCard printCard--${cell.kind}"></div>`;
+    const pid = slotPaintId(cell.index);
+    const p = pid ? paintById(pid) : null;
+    return `
+      <div class="printCard printCard--${cell.kind}">
+        <div class="printCard__no">${cell.index + 1}</div>
+        <div class="printCard__swatch"></div>
+        <div class="printCard__name">${p ? escapeHtml(p.name || "") : ""}</div>
+        <div class="printCard__brand">${p ? escapeHtml(p.brand || "") : ""}</div>
+      </div>
+    `;
+  }).join("");
+
+  const sheet = $("printSheet");
+  sheet.innerHTML = `
+    <div class="printSheet__head">
+      <strong>${escapeHtml(ap.name || "パレット")}</strong>
+      <span>${todayStamp()}・色見本カード（塗って写真を撮ってね）</span>
+    </div>
+    <div class="printSheet__grid" style="grid-template-columns: repeat(${columns}, minmax(0, 1fr))">${cards}</div>
+  `;
+}
+
+// ---------- palette compare ----------
+// 色の広がりは Lab の色相角を30°ずつ12に分けて見る（彩度が低いものは無彩色）
+// Lab の色相は青が 270° あたり、紫が 300° あたりに来るので名前はそれに合わせてる
+const HUE_BUCKETS = ["ピンク", "赤", "橙", "黄", "黄緑", "緑", "青緑", "水色", "セルリアン", "青", "青紫", "赤紫"];
+const NEUTRAL_CHROMA = 12;
+
+function hueBucket(hex) {
+  if (!hex || hex === "__INVALID__") return null;
+  const [, a, b] = hexToLab(hex);
+  if (Math.hypot(a, b) < NEUTRAL_CHROMA) return HUE_BUCKETS.length; // 無彩色
+  const h = (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+  return Math.floor(((h + 15) % 360) / 30);
+}
+
+async function paletteCompare(idA, idB) {
+  const idsOf = async (id) => new Set((await getSlotsForPalette(id)).map(s => s.paintId).filter(pid => pid != null));
+  const a = await idsOf(idA);
+  const b = await idsOf(idB);
+  const pick = (ids) => [...ids].map(paintById).filter(Boolean);
+  return {
+    onlyA: pick([...a].filter(id => !b.has(id))),
+    both: pick([...a].filter(id => b.has(id))),
+    onlyB: pick([...b].filter(id => !a.has(id))),
+  };
+}
+
+// 色相ごとに、そのパレットに入ってる絵の具（無ければ空）
+function coverageOf(list) {
+  const buckets = Array.from({ length: HUE_BUCKETS.length + 1 }, () => []);
+  for (const p of list) {
+    const k = hueBucket(p.hex);
+    if (k != null) buckets[k].push(p);
+  }
+  return buckets;
+}
+
+function coverageRowHtml(label, buckets) {
+  const covered = buckets.filter(b => b.length).length;
+  const cells = buckets.map((list, i) => {
+    const name = i < HUE_BUCKETS.length ? HUE_BUCKETS[i] : "無彩色";
+    const title = `${name}: ${list.length ? list.map(p => p.name || "").join(", ") : "なし"}`;
+    const bg = list[0] ? ` style="background:${escapeHtml(list[0].hex)}"` : "";
+    return `<div class="coverageCell${list.length ? "" : " coverageCell--empty"}" title="${escapeHtml(title)}"${bg}>${list.length > 1 ? list.length : ""}</div>`;
+  }).join("");
+  return `
+    <div class="coverageRow">
+      <div class="coverageLabel">${escapeHtml(label)}<span class="muted">${covered}/${buckets.length}</span></div>
+      <div class="coverageCells">${cells}</div>
+    </div>
+  `;
+}
+
+function compareListHtml(list, cls) {
+  if (!list.length) return `<div class="muted">なし</div>`;
+  return list.map(p => `
+    <div class="pickerItem compareItem ${cls}">
+      ${swatchHtml(p, "pickerSwatch")}
+      <div>
+        <div class="pickerTitle">${escapeHtml(p.name || "")}</div>
+        <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")}</div>
+      </div>
+    </div>
+  `).join("");
+}
+
+async function renderCompare() {
+  const idA = Number($("compareA").value);
+  const idB = Number($("compareB").value);
+  const nameOf = (id) => palettes.find(p => p.id === id)?.name || "パレット";
+  const { onlyA, both, onlyB } = await paletteCompare(idA, idB);
+
+  $("compareCoverage").innerHTML =
+    coverageRowHtml(nameOf(idA), coverageOf([...onlyA, ...both])) +
+    coverageRowHtml(nameOf(idB), coverageOf([...onlyB, ...both]));
+
+  $("compareColumns").innerHTML = `
+    <div class="compareCol">
+      <h4>${escapeHtml(nameOf(idA))} だけ（${onlyA.length}）</h4>
+      ${compareListHtml(onlyA, "compareItem--a")}
+    </div>
+    <div class="compareCol">
+      <h4>両方（${both.length}）</h4>
+      ${compareListHtml(both, "compareItem--both")}
+    </div>
+    <div class="compareCol">
+      <h4>${escapeHtml(nameOf(idB))} だけ（${onlyB.length}）</h4>
+      ${compareListHtml(onlyB, "compareItem--b")}
+    </div>
+  `;
+}
+
+async function openCompare() {
+  const options = palettes.map(p => `<option value="${p.id}">${escapeHtml(p.name || "パレット")}</option>`).join("");
+  $("compareA").innerHTML = options;
+  $("compareB").innerHTML = options;
+  const other = palettes.find(p => p.id !== activePaletteId);
+  $("compareA").value = String(activePaletteId);
+  $("compareB").value = String(other ? other.id : activePaletteId);
+  await renderCompare();
+  $("compareBackdrop").hidden = false;
+}
+
+// ---------- palette drag & drop ----------
+// Pointer Events でマウスもタッチも同じ処理。タッチは長押し（スクロールと区別）、マウスは少し動かしたら開始
+const SLOT_DRAG_HOLD_MS = 300;
+const SLOT_DRAG_MOVE_PX = 6;
+
+function slotAt(x, y) {
+  const el = document.elementFromPoint(x, y);
+  return el?.closest?.("#paletteGrid .slot") || null;
+}
+
+function startSlotDrag() {
+  const d = slotDrag;
+  d.active = true;
+  const src = $("paletteGrid").querySelector(`.slot[data-index="${d.from}"]`);
+  src?.classList.add("slot--dragging");
+
+  // 指の下に出す掴んでいるマスの見た目
+  const ghost = document.createElement("div");
+  ghost.className = "slotGhost";
+  ghost.innerHTML = src?.querySelector(".slotSwatch")?.outerHTML || "";
+  document.body.appendChild(ghost);
+  d.ghost = ghost;
+  moveSlotGhost(d.x, d.y);
+  navigator.vibrate?.(10);
+}
+
+function moveSlotGhost(x, y) {
+  const d = slotDrag;
+  d.ghost.style.transform = `translate(${x - 28}px, ${y - 28}px)`;
+
+  const target = slotAt(x, y);
+  const over = target ? Number(target.dataset.index) : null;
+  if (over !== d.over) {
+    $("paletteGrid").querySelector(".slot--dropTarget")?.classList.remove("slot--dropTarget");
+    if (over != null && over !== d.from) target.classList.add("slot--dropTarget");
+    d.over = over;
+  }
+
+  // 画面の端に来たらスクロール（スマホで下のマスへ運べるように）
+  const edge = 48;
+  if (y < edge) window.scrollBy(0, -12);
+  else if (y > window.innerHeight - edge) window.scrollBy(0, 12);
+}
+
+function endSlotDrag() {
+  const d = slotDrag;
+  slotDrag = null;
+  if (!d) return null;
+  clearTimeout(d.timer);
+  if (!d.active) return null;
+  d.ghost?.remove();
+  const grid = $("paletteGrid");
+  grid.querySelector(".slot--dragging")?.classList.remove("slot--dragging");
+  grid.querySelector(".slot--dropTarget")?.classList.remove("slot--dropTarget");
+  slotDragEndedAt = Date.now();
+  return d;
+}
+
+async function dropSlot(d) {
+  const ap = getActivePalette();
+  if (!ap || d.over == null || d.over === d.from) return;
+  await moveSlotPaint(ap.id, d.from, d.over);
+  activePaletteSlots = await getSlotsForPalette(ap.id);
+  renderPalettesUI();
+}
+
+// ---------- photo colour sampler ----------
+async function analyzeSwatchPhoto(src) {
+  const { canvas, ctx } = imageToCanvas(await srcToImage(src), 160);
+  return estimateMasstoneTint(ctx.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+// which: "masstone" → HEX / "tint" → HEX(薄め)
+function applySampledHex(which, hex) {
+  const id = which === "tint" ? "tintHex" : "hex";
+  $(id).value = hex;
+  setHexPreview(hex, `${id}Preview`);
+}
+
+async function openSampler(index = 0) {
+  const src = currentPhotos[index]?.url;
+  if (!src) return;
+  const { canvas, ctx } = imageToCanvas(await srcToImage(src), 600);
+  sampler = {
+    base: canvas,
+    imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
+    rect: null,
+    drag: null,
+    hex: "",
+  };
+  const view = $("samplerCanvas");
+  view.width = canvas.width;
+  view.height = canvas.height;
+  drawSampler();
+  setSamplerHex("");
+  $("samplerBackdrop").hidden = false;
+}
+
+function closeSampler() {
+  $("samplerBackdrop").hidden = true;
+  sampler = null;
+}
+
+function drawSampler() {
+  const view = $("samplerCanvas");
+  const ctx = view.getContext("2d");
+  ctx.drawImage(sampler.base, 0, 0);
+  const r = sampler.rect;
+  if (!r) return;
+  // 明るい写真でも暗い写真でも見えるよう白黒の二重線
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = "#FFFFFF";
+  ctx.strokeRect(r.x, r.y, r.w, r.h);
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = "#000000";
+  ctx.strokeRect(r.x, r.y, r.w, r.h);
+  ctx.setLineDash([]);
+}
+
+function setSamplerHex(hex) {
+  sampler.hex = hex;
+  setHexPreview(hex, "samplerSwatch");
+  $("samplerHex").textContent = hex || "ドラッグで範囲、タップでスポイト";
+  $("btnSamplerMasstone").disabled = !hex;
+  $("btnSamplerTint").disabled = !hex;
+}
+
+// 表示サイズ → canvas 座標
+function samplerPoint(e) {
+  const view = $("samplerCanvas");
+  const b = view.getBoundingClientRect();
+  return {
+    x: (e.clientX - b.left) * view.width / (b.width || 1),
+    y: (e.clientY - b.top) * view.height / (b.height || 1),
+  };
+}
+
+function finishSamplerRect() {
+  let r = sampler.rect;
+  if (!r) return;
+  // ほとんど動いてなければスポイト扱い（周り 7px 四方の中央値）
+  if (Math.abs(r.w) < 4 && Math.abs(r.h) < 4) {
+    r = { x: r.x - 3, y: r.y - 3, w: 7, h: 7 };
+    sampler.rect = r;
+  }
+  setSamplerHex(regionMedianHex(sampler.imageData, r.x, r.y, r.w, r.h));
+  drawSampler();
+}
+
+// ---------- form ----------
+function setCurrentPhotos(list) {
+  for (const ph of currentPhotos) URL.revokeObjectURL(ph.url);
+  currentPhotos = list.map(ph => ({ ...ph, url: URL.createObjectURL(ph.blob) }));
+  renderPhotoGallery();
+}
+
+function addCurrentPhoto(photo) {
+  currentPhotos.push({ ...photo, url: URL.createObjectURL(photo.blob) });
+  renderPhotoGallery();
+}
+
+function removeCurrentPhoto(index) {
+  const [ph] = currentPhotos.splice(index, 1);
+  if (ph) URL.revokeObjectURL(ph.url);
+  renderPhotoGallery();
+}
+
+function moveCurrentPhoto(index, delta) {
+  const to = index + delta;
+  if (to < 0 || to >= currentPhotos.length) return;
+  const [ph] = currentPhotos.splice(index, 1);
+  currentPhotos.splice(to, 0, ph);
+  renderPhotoGallery();
+}
+
+function resetForm() {
+  editingId = null;
+  $("paintId").value = "";
+  $("dupWarning").hidden = true;
+  $("brand").value = "";
+  $("line").value = "";
+  $("name").value = "";
+  $("code").value = "";
+  $("pigments").value = "";
+  $("type").value = "watercolor";
+  $("status").value = "owned";
+  $("transparency").value = "";
+  $("opacity").value = "";
+  $("staining").value = "";
+  $("granulating").value = "";
+  $("lightfastness").value = "";
+  $("units").value = "";
+  $("size").value = "";
+  $("sizeMl").value = "";
+  $("sizeMl").disabled = true;
+  $("remaining").value = "";
+  $("tags").value = "";
+  $("notes").value = "";
+
+  $("btnCancelEdit").hidden = true;
+  $("btnSave").textContent = "保存";
+  $("hex").value = "";
+  setHexPreview("");
+  $("tintHex").value = "";
+  setHexPreview("", "tintHexPreview");
+  setCurrentPhotos([]);
+}
+
+async function fillForm(p) {
+  editingId = p.id;
+  $("paintId").value = p.id;
+  $("brand").value = p.brand || "";
+  $("line").value = p.line || "";
+  $("name").value = p.name || "";
+  $("code").value = p.code || "";
+  $("pigments").value = (p.pigments || []).join(", ");
+  $("type").value = p.type || "watercolor";
+  $("status").value = p.status || "owned";
+  $("transparency").value = p.transparency || "";
+  $("opacity").value = p.opacity ? String(p.opacity) : "";
+  $("staining").value = p.staining || "";
+  $("granulating").value = p.granulating || "";
+  $("lightfastness").value = p.lightfastness || "";
+  $("units").value = p.units != null ? String(p.units) : "";
+  $("size").value = p.size || "";
+  $("sizeMl").value = p.sizeMl != null ? String(p.sizeMl) : "";
+  $("sizeMl").disabled = $("size").value !== "ml";
+  $("remaining").value = p.remaining != null ? String(p.remaining) : "";
+  $("tags").value = (p.tags || []).join(", ");
+  $("notes").value = p.notes || "";
+
+  $("btnCancelEdit").hidden = false;
+  $("btnSave").textContent = "更新";
+  window.scrollTo({ top: 0, behavior: "smooth" });
+  $("hex").value = p.hex || "";
+  setHexPreview(p.hex || "");
+  $("tintHex").value = p.tintHex || "";
+  setHexPreview(p.tintHex || "", "tintHexPreview");
+  renderDupWarning();
+  // 写真の本体はここで初めて読む
+  setCurrentPhotos([]);
+  const list = [];
+  for (const { photoId, label } of paintPhotos(p)) {
+    const rec = await getPhoto(photoId);
+    if (rec?.blob) list.push({ ...rec, label });
+  }
+  if (editingId !== p.id) return; // 読んでる間に別の絵の具を開いた
+  setCurrentPhotos(list);
+}
+
+function readForm() {
+  return {
+    brand: $("brand").value.trim(),
+    line: $("line").value.trim(),
+    name: $("name").value.trim(),
+    code: $("code").value.trim(),
+    pigments: parsePigments($("pigments").value).pigments,
+    type: $("type").value,
+    status: $("status").value,
+    transparency: $("transparency").value,
+    opacity: pickOpacity($("opacity").value),
+    staining: $("staining").value,
+    granulating: $("granulating").value,
+    lightfastness: $("lightfastness").value,
+    units: toCount($("units").value),
+    size: $("size").value,
+    sizeMl: $("size").value === "ml" ? toMl($("sizeMl").value) : null,
+    remaining: toPercent($("remaining").value),
+    tags: normalizeTags($("tags").value),
+    notes: $("notes").value.trim(),
+    hex: normalizeHex($("hex").value),
+    tintHex: normalizeHex($("tintHex").value),
+  };
+}
+
+// ---------- catalog ----------
+// メーカー/シリーズごとの色見本帳 JSON。形式は catalog/README.md
+// { format: "paint-manager-catalog", version: 1, brand, line, type, colors: [{ code, name, pigments, hex, ...性質 }] }
+const CATALOG_FORMAT = "paint-manager-catalog";
+const CATALOG_DIR = "./catalog/";
+
+// 読めない色は飛ばす。カタログとして使えないときは Error（message はそのまま画面に出す）
+function cleanCatalog(json, fileName) {
+  if (json?.format !== CATALOG_FORMAT) throw new Error("カタログの形式じゃないみたい（format が違う）");
+  if (!json.brand) throw new Error("brand（メーカー名）がないよ");
+  if (!Array.isArray(json.colors)) throw new Error("colors（色の一覧）がないよ");
+
+  const colors = [];
+  for (const c of json.colors) {
+    if (!c?.name) continue;
+    const hex = normalizeHex(c.hex);
+    const pigments = Array.isArray(c.pigments) ? c.pigments.join(",") : String(c.pigments || "");
+    colors.push({
+      code: String(c.code ?? "").trim(),
+      name: String(c.name).trim(),
+      pigments: parsePigments(pigments).pigments,
+      hex: hex === "__INVALID__" ? "" : hex,
+      transparency: pickKey(TRANSPARENCY, c.transparency),
+      staining: pickKey(STAINING, c.staining),
+      granulating: pickKey(GRANULATING, c.granulating),
+      lightfastness: pickKey(LIGHTFASTNESS, c.lightfastness),
+      opacity: pickOpacity(c.opacity),
+    });
+  }
+  if (!colors.length) throw new Error("色が1つも読めなかった");
+
+  return {
+    fileName: fileName || "",
+    brand: String(json.brand).trim(),
+    line: String(json.line || "").trim(),
+    type: TYPE_KEYS.includes(json.type) ? json.type : "watercolor",
+    colors,
+  };
+}
+
+// 同梱カタログ。オフラインでも SW のキャッシュから読める。読めなければ無しで動く
+async function fetchBundledCatalogs() {
+  const out = [];
+  try {
+    const index = await (await fetch(`${CATALOG_DIR}index.json`)).json();
+    for (const file of index.catalogs || []) {
+      try {
+        const json = await (await fetch(`${CATALOG_DIR}${file}`)).json();
+        out.push({ ...cleanCatalog(json, file), source: "bundled" });
+      } catch (err) {
+        console.warn("catalog skipped:", file, err);
+      }
+    }
+  } catch (err) {
+    console.warn("bundled catalogs unavailable:", err);
+  }
+  return out;
+}
+
+async function addCatalog(catalog) {
+  const rec = { ...catalog, importedAt: nowISO() };
+  const req = await withStoreName(STORE_CATALOGS, "readwrite", (store) => store.add(rec));
+  return req.result;
+}
+
+async function deleteCatalog(id) {
+  await withStoreName(STORE_CATALOGS, "readwrite", (store) => store.delete(id));
+}
+
+async function reloadCatalogs() {
+  if (!bundledCatalogs) bundledCatalogs = await fetchBundledCatalogs();
+  const custom = (await getAllFrom(STORE_CATALOGS)).map(c => ({ ...c, source: "custom" }));
+  catalogs = [...bundledCatalogs, ...custom];
+  renderCatalogList();
+  renderBrandOptions();
+}
+
+async function importCatalogFile(file) {
+  let json;
+  try {
+    json = JSON.parse(await file.text());
+  } catch {
+    throw new Error("JSONが壊れてるみたい");
+  }
+  const catalog = cleanCatalog(json, file.name);
+  // 同じメーカー/シリーズを読み直したら差し替え
+  for (const c of catalogs) {
+    if (c.source === "custom" && c.brand === catalog.brand && c.line === catalog.line) await deleteCatalog(c.id);
+  }
+  await addCatalog(catalog);
+  return catalog;
+}
+
+// 空白区切りの語を全部含むものを探す（メーカー/シリーズ/番号/色名/顔料）
+function searchCatalog(q, limit = 8) {
+  const norm = (s) => (s || "").normalize("NFKC").toLowerCase();
+  const words = norm(q).split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const out = [];
+  for (const catalog of catalogs) {
+    for (const color of catalog.colors) {
+      const text = norm([catalog.brand, catalog.line, color.code, color.name, ...color.pigments].join(" "));
+      if (words.every(w => text.includes(w))) out.push({ catalog, color });
+      if (out.length >= limit) return out;
+    }
+  }
+  return out;
+}
+
+// 候補を選んだらフォームをまとめて埋める。性質はカタログに載っているものだけ上書き
+function applyCatalogColor({ catalog, color }) {
+  $("brand").value = catalog.brand;
+  $("line").value = catalog.line;
+  $("name").value = color.name;
+  $("code").value = color.code;
+  $("pigments").value = color.pigments.join(", ");
+  $("type").value = catalog.type;
+  $("hex").value = color.hex;
+  setHexPreview(color.hex);
+  for (const key of ["transparency", "staining", "granulating", "lightfastness"]) {
+    if (color[key]) $(key).value = color[key];
+  }
+  if (color.opacity) $("opacity").value = String(color.opacity);
+  renderDupWarning();
+}
+
+function renderCatalogSuggest() {
+  catalogHits = searchCatalog($("catalogQuery").value);
+  const box = $("catalogSuggest");
+  box.hidden = catalogHits.length === 0;
+  box.innerHTML = catalogHits.map(({ catalog, color }, i) => `
+    <button type="button" class="catalogHit" data-index="${i}">
+      ${swatchHtml(color, "swatch swatch--sm")}
+      <span>
+        <span>${escapeHtml(color.name)}${color.code ? ` <span class="muted">#${escapeHtml(color.code)}</span>` : ""}</span>
+        <span class="pickerMeta">${escapeHtml(catalog.brand)}${catalog.line ? ` / ${escapeHtml(catalog.line)}` : ""}${color.pigments.length ? ` ・${escapeHtml(color.pigments.join(" + "))}` : ""}</span>
+      </span>
+    </button>
+  `).join("");
+}
+
+function closeCatalogSuggest() {
+  catalogHits = [];
+  $("catalogSuggest").hidden = true;
+}
+
+function renderCatalogList() {
+  $("catalogSummary").textContent = `カタログ（${catalogs.length}）`;
+  $("catalogList").innerHTML = catalogs.map(c => `
+    <li>
+      <span>${escapeHtml(c.brand)}${c.line ? ` / ${escapeHtml(c.line)}` : ""} <span class="muted">${c.colors.length}色${c.source === "bundled" ? "・同梱" : ""}</span></span>
+      ${c.source === "custom" ? `<button type="button" class="btn btn--ghost btn--sm" data-id="${c.id}">削除</button>` : ""}
+    </li>
+  `).join("");
+}
+
+// メーカー/シリーズ入力の候補（カタログ + 登録済み）で表記ゆれを減らす
+function renderBrandOptions() {
+  const uniq = (list) => [...new Set(list.filter(Boolean))].sort((a, b) => a.localeCompare(b, "ja"));
+  const opts = (list) => list.map(v => `<option value="${escapeHtml(v)}"></option>`).join("");
+  $("brandOptions").innerHTML = opts(uniq([...catalogs.map(c => c.brand), ...paints.map(p => p.brand)]));
+  $("lineOptions").innerHTML = opts(uniq([...catalogs.map(c => c.line), ...paints.map(p => p.line)]));
+}
+
+// ---------- shopping list ----------
+// 買う予定 + 空 の絵の具。値段と買う店は絵の具レコードに price / shop として持つ
+const isShoppingItem = (p) => p.status === "wishlist" || p.status === "empty";
+
+const formatPrice = (n) => (n == null ? "" : `¥${Number(n).toLocaleString("ja-JP")}`);
+
+const toPrice = (v) => {
+  if (v === "" || v == null) return null;
+  const n = Number(String(v).replace(/[¥￥,\s]/g, ""));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+// メーカー → シリーズ の順にまとめる
+function shoppingGroups() {
+  const items = paints
+    .filter(isShoppingItem)
+    .sort((a, b) =>
+      (a.brand || "").localeCompare(b.brand || "", "ja") ||
+      (a.line || "").localeCompare(b.line || "", "ja") ||
+      (a.name || "").localeCompare(b.name || "", "ja"));
+
+  const groups = [];
+  for (const p of items) {
+    const brand = p.brand || "メーカー未設定";
+    const line = p.line || "";
+    let g = groups[groups.length - 1];
+    if (!g || g.brand !== brand || g.line !== line) {
+      g = { brand, line, items: [] };
+      groups.push(g);
+    }
+    g.items.push(p);
+  }
+  return groups;
+}
+
+const sumPrices = (items) => items.reduce((s, p) => s + (p.price || 0), 0);
+
+function renderShopping() {
+  const groups = shoppingGroups();
+  const all = groups.flatMap(g => g.items);
+  const box = $("shoppingList");
+
+  $("shoppingEmpty").hidden = all.length !== 0;
+  $("shoppingStats").textContent = all.length
+    ? `${all.length} 点 | 合計 ${formatPrice(sumPrices(all))}${all.some(p => p.price == null) ? "（値段未入力あり）" : ""}`
+    : "";
+
+  box.innerHTML = groups.map(g => `
+    <li class="shopGroup">
+      <div class="shopGroup__head">
+        <strong>${escapeHtml(g.brand)}</strong>${g.line ? ` <span class="muted">/ ${escapeHtml(g.line)}</span>` : ""}
+        <span class="muted">${g.items.length} 点 ${sumPrices(g.items) ? formatPrice(sumPrices(g.items)) : ""}</span>
+      </div>
+      ${g.items.map(p => `
+        <div class="shopItem" data-id="${p.id}">
+          <label class="shopItem__check" title="買った（持ってるにする）">
+            <input type="checkbox" data-act="bought" />
+          </label>
+          ${swatchHtml(p, "swatch swatch--sm")}
+          <div class="shopItem__name">
+            <div>${escapeHtml(p.name || "")}${p.code ? ` <span class="muted">#${escapeHtml(p.code)}</span>` : ""}</div>
+            <div class="muted">${escapeHtml(statusLabel(p.status))}${sizeLabel(p) ? ` ・${escapeHtml(sizeLabel(p))}` : ""}</div>
+          </div>
+          <input class="shopItem__price" data-field="price" inputmode="numeric" placeholder="値段" value="${p.price != null ? escapeHtml(String(p.price)) : ""}" />
+          <input class="shopItem__shop" data-field="shop" placeholder="お店" value="${escapeHtml(p.shop || "")}" />
+        </div>
+      `).join("")}
+    </li>
+  `).join("");
+}
+
+function shoppingText() {
+  const lines = [`買い物リスト (${todayStamp()})`];
+  for (const g of shoppingGroups()) {
+    lines.push("", `■ ${g.brand}${g.line ? ` / ${g.line}` : ""}`);
+    for (const p of g.items) {
+      const extra = [formatPrice(p.price), p.shop ? `@${p.shop}` : ""].filter(Boolean).join(" ");
+      lines.push(`・${p.name || ""}${p.code ? ` #${p.code}` : ""}${sizeLabel(p) ? ` (${sizeLabel(p)})` : ""}${extra ? `  ${extra}` : ""}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function shoppingCSV() {
+  const rows = [["brand", "line", "name", "code", "size", "status", "price", "shop"]];
+  for (const g of shoppingGroups()) {
+    for (const p of g.items) {
+      rows.push([p.brand, p.line, p.name, p.code, sizeLabel(p), p.status, p.price, p.shop]);
+    }
+  }
+  return toCSV(rows);
+}
+
+// 買ったら「持ってる」へ。在庫を数えているなら1本増やす（0本のままだと空に戻ってしまうので）
+async function markBought(p) {
+  const patch = { status: "owned" };
+  if (p.units != null) {
+    patch.units = p.units + 1;
+    if (!p.units) patch.remaining = 100;
+  }
+  await updatePaint(p.id, patch);
+}
+
+// ---------- CSV ----------
+// 書き出しの列（読み込み時もこの名前なら自動で割り当てる）
+const CSV_COLUMNS = [
+  "brand", "line", "name", "code", "pigments", "hex", "tintHex", "type", "status", "tags", "notes",
+  "transparency", "opacity", "staining", "granulating", "lightfastness",
+  "units", "size", "sizeMl", "remaining", "price", "shop", "createdAt", "updatedAt",
+];
+
+function paintsCSV(list) {
+  const rows = [CSV_COLUMNS];
+  for (const p of list) {
+    rows.push(CSV_COLUMNS.map(c => {
+      if (c === "pigments") return (p.pigments || []).join(", ");
+      if (c === "tags") return (p.tags || []).join(", ");
+      return p[c];
+    }));
+  }
+  return toCSV(rows);
+}
+
+function exportCSV(filteredOnly) {
+  const list = filteredOnly ? applyFilters(paints) : paints;
+  // Excel で文字化けしないように BOM を付ける
+  const blob = new Blob(["\uFEFF" + paintsCSV(list)], { type: "text/csv" });
+  downloadBlob(blob, `paint-manager-${filteredOnly ? "filtered" : "all"}-${todayStamp()}.csv`);
+}
+
+// クオート/改行入りのセルに対応した素朴なパーサ。タブ区切り（スプレッドシートからのコピペ）も読む
+function parseCSV(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const sep = firstLine.includes("\t") && !firstLine.includes(",") ? "\t" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); cell = "";
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// 取り込み先の項目と、見出しから自動で割り当てるための別名
+const CSV_IMPORT_FIELDS = [
+  { key: "brand", label: "メーカー", aliases: ["brand", "maker", "manufacturer", "メーカー", "ブランド"] },
+  { key: "line", label: "シリーズ", aliases: ["line", "series", "シリーズ", "ライン"] },
+  { key: "name", label: "色名", aliases: ["name", "color", "colour", "色名", "名前"] },
+  { key: "code", label: "番号", aliases: ["code", "number", "no", "番号", "色番号", "品番"] },
+  { key: "pigments", label: "顔料", aliases: ["pigments", "pigment", "顔料"] },
+  { key: "hex", label: "HEX", aliases: ["hex", "colorhex", "色"] },
+  { key: "type", label: "種類", aliases: ["type", "medium", "種類", "画材"] },
+  { key: "status", label: "状態", aliases: ["status", "状態"] },
+  { key: "tags", label: "タグ", aliases: ["tags", "tag", "タグ"] },
+  { key: "notes", label: "メモ", aliases: ["notes", "note", "memo", "メモ", "備考"] },
+];
+
+const TYPE_KEYS = ["watercolor", "acrylic", "gouache", "oil", "ink", "other"];
+const STATUS_KEYS = ["owned", "empty", "wishlist"];
+
+// キーでもラベル（水彩 / 持ってる など）でも受け付ける
+function matchOption(keys, labelOf, v) {
+  const s = (v || "").trim();
+  if (!s) return "";
+  const lower = s.toLowerCase();
+  return keys.find(k => k === lower || labelOf(k) === s) || null;
+}
+
+function guessCsvMapping(header) {
+  const norm = (s) => (s || "").toLowerCase().replace(/[\s_\-.#]/g, "");
+  const mapping = {};
+  for (const f of CSV_IMPORT_FIELDS) {
+    const i = header.findIndex(h => f.aliases.includes(norm(h)));
+    mapping[f.key] = i;
+  }
+  return mapping;
+}
+
+// 1行を絵の具にする。errors があればその行は取り込まない、warnings は取り込むけど知らせる
+function csvRowToPaint(cells, mapping) {
+  const get = (key) => (mapping[key] >= 0 ? csvUncell(cells[mapping[key]] || "").trim() : "");
+  const errors = [];
+  const warnings = [];
+
+  const name = get("name");
+  if (!name) errors.push("色名が空");
+
+  const hex = normalizeHex(get("hex"));
+  if (hex === "__INVALID__") errors.push(`HEXが不正: ${get("hex")}`);
+
+  let type = matchOption(TYPE_KEYS, typeLabel, get("type"));
+  if (type === null) {
+    warnings.push(`種類「${get("type")}」は分からないので「その他」`);
+    type = "other";
+  }
+
+  let status = matchOption(STATUS_KEYS, statusLabel, get("status"));
+  if (status === null) {
+    warnings.push(`状態「${get("status")}」は分からないので「持ってる」`);
+    status = "";
+  }
+
+  const { pigments, invalid } = parsePigments(get("pigments"));
+  if (invalid.length) warnings.push(`読めない顔料番号を無視: ${invalid.join(", ")}`);
+
+  const paint = {
+    uid: newUid(),
+    brand: get("brand"),
+    line: get("line"),
+    name,
+    code: get("code"),
+    pigments,
+    type: type || "watercolor",
+    status: status || "owned",
+    tags: normalizeTags(get("tags").replace(/[;；、]/g, ",")),
+    notes: get("notes"),
+    hex: hex === "__INVALID__" ? "" : hex,
+    tintHex: "",
+  };
+  if (findDuplicatePaints(paint).length) warnings.push("同じ絵の具がもう登録されてるかも");
+  return { paint, errors, warnings };
+}
+
+function csvImportRows() {
+  const { rows, hasHeader } = csvImport;
+  return hasHeader ? rows.slice(1) : rows;
+}
+
+function openCsvImport(fileName, text) {
+  const rows = parseCSV(text);
+  if (rows.length === 0) {
+    alert("CSVが空みたい。");
+    return;
+  }
+  const mapping = guessCsvMapping(rows[0]);
+  const hasHeader = Object.values(mapping).some(i => i >= 0);
+  csvImport = { fileName, rows, hasHeader, mapping: hasHeader ? mapping : guessCsvMapping([]) };
+
+  $("csvTitle").textContent = `CSV取り込み（${fileName}）`;
+  $("csvHasHeader").checked = hasHeader;
+  renderCsvMapping();
+  renderCsvPreview();
+  $("csvBackdrop").hidden = false;
+}
+
+function closeCsvImport() {
+  csvImport = null;
+  $("csvBackdrop").hidden = true;
+}
+
+function renderCsvMapping() {
+  const { rows, hasHeader, mapping } = csvImport;
+  const width = Math.max(...rows.map(r => r.length));
+  const colName = (i) => (hasHeader ? rows[0][i] || `列${i + 1}` : `列${i + 1}（例: ${rows[0][i] || ""}）`);
+  const options = `<option value="-1">（使わない）</option>` +
+    Array.from({ length: width }, (_, i) => `<option value="${i}">${escapeHtml(colName(i))}</option>`).join("");
+
+  $("csvMapping").innerHTML = CSV_IMPORT_FIELDS.map(f => `
+    <label>
+      ${escapeHtml(f.label)}${f.key === "name" ? " *" : ""}
+      <select data-field="${f.key}">${options}</select>
+    </label>
+  `).join("");
+
+  for (const sel of $("csvMapping").querySelectorAll("select")) {
+    sel.value = String(mapping[sel.dataset.field] ?? -1);
+  }
+}
+
+function renderCsvPreview() {
+  const results = csvImportRows().map(cells => csvRowToPaint(cells, csvImport.mapping));
+  const ok = results.filter(r => r.errors.length === 0);
+  const warned = ok.filter(r => r.warnings.length).length;
+
+  $("csvSummary").textContent =
+    `${results.length} 行中 ${ok.length} 件を追加予定` +
+    (results.length - ok.length ? ` / エラーで飛ばす ${results.length - ok.length} 行` : "") +
+    (warned ? ` / 注意 ${warned} 行` : "");
+  $("btnCsvImport").disabled = ok.length === 0;
+
+  const offset = csvImport.hasHeader ? 2 : 1; // 表示はファイル上の行番号
+  $("csvPreview").innerHTML = `
+    <table class="csvTable">
+      <thead><tr><th>行</th><th></th><th>メーカー</th><th>色名</th><th>番号</th><th>種類</th><th>状態</th><th>メモ</th></tr></thead>
+      <tbody>
+        ${results.map(({ paint: p, errors, warnings }, i) => `
+          <tr class="${errors.length ? "csvRow--error" : warnings.length ? "csvRow--warn" : ""}">
+            <td>${i + offset}</td>
+            <td>${swatchHtml(p, "swatch swatch--sm")}</td>
+            <td>${escapeHtml(p.brand)}</td>
+            <td>${escapeHtml(p.name)}</td>
+            <td>${escapeHtml(p.code)}</td>
+            <td>${escapeHtml(typeLabel(p.type))}</td>
+            <td>${escapeHtml(statusLabel(p.status))}</td>
+            <td>${escapeHtml([...errors, ...warnings].join(" / ")) || "OK"}</td>
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+async function commitCsvImport() {
+  const results = csvImportRows().map(cells => csvRowToPaint(cells, csvImport.mapping));
+  const ok = results.filter(r => r.errors.length === 0).map(r => r.paint);
+  if (ok.length === 0) return;
+  if (!confirm(`${ok.length} 件を追加する？`)) return;
+
+  // 全部まとめて1トランザクションで（途中で失敗したら何も入らない）
+  const stamp = nowISO();
+  const added = ok.map(p => applyInventoryStatus({ ...p, photos: [], createdAt: stamp, updatedAt: stamp }));
+  const reqs = await withStore("readwrite", (store) => added.map(p => store.add(p)));
+  logChanges(`CSVから ${added.length} 件追加`, added.map((p, i) => ({ store: STORE, key: reqs[i].result, before: null, after: { ...p, id: reqs[i].result } })));
+  closeCsvImport();
+  await reload();
+  alert(`${ok.length} 件追加したよ`);
+}
+
+// ---------- backup ----------
+// v1: paints のみ / v2: paints + palettes + paletteSlots / v3: + recipes
+// v4: 写真を paints.photoDataUrl から photos（本体のみ data URL、サムネイルは復元時に作り直す）へ
+// v5: paints.photoId → paints.photos: [{ photoId, label }]（複数枚）
+// v6: paints / palettes / recipes に uid（端末をまたいで同じレコードを見分ける）
+// v7: recipes.resultPhotoDataUrl → recipes.resultPhotoId（レシピの写真も photos へ）
+const BACKUP_VERSION = 7;
+
+// バックアップ JSON の中身。data はストア名 -> レコードの配列（readAllStores / 復元ポイントの data）
+async function backupFromStores(data, exportedAt = nowISO()) {
+  // ゴミ箱の絵の具の写真は入れない
+  const used = new Set([
+    ...data[STORE].flatMap(p => paintPhotos(p).map(ph => ph.photoId)),
+    ...data[STORE_RECIPES].map(r => r.resultPhotoId).filter(id => id != null),
+  ]);
+  const photos = [];
+  for (const ph of data[STORE_PHOTOS]) {
+    if (!ph.blob || !used.has(ph.id)) continue;
+    photos.push({ id: ph.id, name: ph.name || "", dataUrl: await blobToDataURL(ph.blob) });
+  }
+  return {
+    version: BACKUP_VERSION,
+    exportedAt,
+    paints: data[STORE],
+    photos,
+    palettes: data[STORE_PALETTES],
+    paletteSlots: data[STORE_SLOTS],
+    recipes: data[STORE_RECIPES],
+  };
+}
+
+// encrypt: パスフレーズを聞いて暗号化したバックアップにする
+async function exportJSON(encrypt = false) {
+  let passphrase = null;
+  if (encrypt) {
+    if (!crypto.subtle) {
+      alert("暗号化は https（か localhost）で開いた時だけ使えるよ。");
+      return;
+    }
+    passphrase = await askPassphrase({
+      title: "暗号化して書き出す",
+      hint: "パスフレーズを忘れると、このバックアップは誰にも開けないので気をつけてね。",
+      confirm: true,
+    });
+    if (passphrase == null) return;
+  }
+  const data = await backupFromStores(await readAllStores());
+  const out = passphrase ? await encryptBackup(data, passphrase) : data;
+  const blob = new Blob([JSON.stringify(out, null, 2)], { type: "application/json" });
+  downloadBlob(blob, `paint-manager-backup-${todayStamp()}${passphrase ? "-encrypted" : ""}.json`);
+}
+
+// 状態は送り主のものをそのまま（本数から決め直すと、同じ updatedAt なのに中身が端末ごとに変わる）
+function cleanImportedPaint(p) {
+  return {
+    id: p.id, // may be undefined
+    uid: isUid(p.uid) ? p.uid : newUid(), // v5 以前は uid が無いので新しく振る
+    brand: p.brand || "",
+    line: p.line || "",
+    name: p.name || "",
+    code: p.code || "",
+    pigments: Array.isArray(p.pigments)
+      ? parsePigments(p.pigments.filter(x => typeof x === "string").join(",")).pigments
+      : [],
+    type: p.type ? (TYPE_KEYS.includes(p.type) ? p.type : "other") : "watercolor", // 知らない種類は「その他」
+    status: STATUS_KEYS.includes(p.status) ? p.status : "owned",
+    transparency: pickKey(TRANSPARENCY, p.transparency),
+    opacity: pickOpacity(p.opacity),
+    staining: pickKey(STAINING, p.staining),
+    granulating: pickKey(GRANULATING, p.granulating),
+    lightfastness: pickKey(LIGHTFASTNESS, p.lightfastness),
+    price: toPrice(p.price),
+    shop: p.shop || "",
+    units: toCount(p.units),
+    size: pickKey(SIZES, p.size),
+    sizeMl: p.size === "ml" ? toMl(p.sizeMl) : null,
+    remaining: toPercent(p.remaining),
+    tags: Array.isArray(p.tags) ? p.tags : [],
+    notes: p.notes || "",
+    createdAt: p.createdAt || nowISO(),
+    updatedAt: p.updatedAt || nowISO(),
+    hex: (normalizeHex(p.hex) === "__INVALID__") ? "" : (normalizeHex(p.hex) || ""),
+    tintHex: (normalizeHex(p.tintHex) === "__INVALID__") ? "" : (normalizeHex(p.tintHex) || ""),
+    photos: [], // 写真は photos ストアに入れ直してから付け替える
+  };
+}
+
+function cleanImportedPalette(p) {
+  return {
+    id: p.id,
+    uid: isUid(p.uid) ? p.uid : newUid(),
+    name: p.name || "パレット",
+    slots: normalizeLayout(p.layout) ? layoutPanCount(normalizeLayout(p.layout)) : Math.max(1, Number(p.slots) || 13),
+    layout: normalizeLayout(p.layout),
+    createdAt: p.createdAt || nowISO(),
+    updatedAt: p.updatedAt || nowISO(),
+  };
+}
+
+function cleanImportedRecipe(r) {
+  return {
+    uid: isUid(r.uid) ? r.uid : newUid(),
+    name: r.name || "レシピ",
+    items: (Array.isArray(r.items) ? r.items : [])
+      .filter(it => it && it.paintId != null)
+      .map(it => ({ paintId: it.paintId, ratio: Math.max(0, Number(it.ratio) || 0) })),
+    resultHex: (normalizeHex(r.resultHex) === "__INVALID__") ? "" : (normalizeHex(r.resultHex) || ""),
+    resultPhotoId: null, // 写真は photos ストアに入れ直してから付け替える
+    notes: r.notes || "",
+    createdAt: r.createdAt || nowISO(),
+    updatedAt: r.updatedAt || nowISO(),
+  };
+}
+
+// ---------- encrypted backup ----------
+// パスフレーズで暗号化したバックアップ。中身は普通のバックアップ JSON を AES-GCM で包んだもの
+// { format: "paint-manager-encrypted-backup", version: 1,
+//   kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt }, cipher: { name: "AES-GCM", iv }, data }
+// salt / iv / data は base64。鍵は PBKDF2 で作る（Argon2 は WebCrypto に無い）
+// 見出し（format 〜 iv）は追加認証データに入れて、書き換えられたら開けないようにする
+const ENCRYPTED_FORMAT = "paint-manager-encrypted-backup";
+const ENCRYPTED_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const PBKDF2_MAX_ITERATIONS = 10000000; // 取り込む時、これより多いのは開かない（固まるので）
+const PBKDF2_HASHES = ["SHA-256", "SHA-384", "SHA-512"];
+const PASSPHRASE_MIN = 8;
+
+async function backupKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return await crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+const encryptedHeaderBytes = (c) => new TextEncoder().encode(
+  [c.format, c.version, c.kdf.name, c.kdf.hash, c.kdf.iterations, c.kdf.salt, c.cipher.name, c.cipher.iv].join("\n")
+);
+
+async function encryptBackup(backup, passphrase) {
+  const head = {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    kdf: {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+    },
+    cipher: { name: "AES-GCM", iv: bytesToBase64(crypto.getRandomValues(new Uint8Array(12))) },
+  };
+  const key = await backupKey(passphrase, head.kdf);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv: base64ToBytes(head.cipher.iv), additionalData: encryptedHeaderBytes(head) },
+    key,
+    new TextEncoder().encode(JSON.stringify(backup))
+  );
+  return { ...head, data: bytesToBase64(new Uint8Array(data)) };
+}
+
+// 開けない形式なら Error（message はそのまま画面に出す）
+function checkEncryptedBackup(c) {
+  if (Number(c.version) > ENCRYPTED_VERSION) {
+    throw new Error("新しいアプリで暗号化されたバックアップみたい。アプリを更新してから試してね。");
+  }
+  if (c.kdf?.name !== "PBKDF2" || !PBKDF2_HASHES.includes(c.kdf.hash) || c.cipher?.name !== "AES-GCM") {
+    throw new Error("この暗号化のやり方には対応してないよ。");
+  }
+  const { iterations } = c.kdf;
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > PBKDF2_MAX_ITERATIONS) {
+    throw new Error("暗号化の設定（iterations）がおかしいので開かないよ。");
+  }
+  if ([c.kdf.salt, c.cipher.iv, c.data].some(v => typeof v !== "string" || !v)) {
+    throw new Error("暗号化されたバックアップが壊れてるみたい。");
+  }
+}
+
+// 中身のバックアップ（JSON をパースしたもの）。パスフレーズが違う時は null
+async function decryptBackup(c, passphrase) {
+  const key = await backupKey(passphrase, c.kdf);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(c.cipher.iv), additionalData: encryptedHeaderBytes(c) },
+      key,
+      base64ToBytes(c.data)
+    );
+  } catch {
+    return null; // 鍵が違う（か、ファイルが書き換えられている）と AES-GCM の確認で落ちる
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+// パスフレーズを聞いて開く。やめた時・開けない時は null
+async function openEncryptedBackup(c) {
+  if (!crypto.subtle) {
+    alert("暗号化されたバックアップは https（か localhost）で開いた時だけ読めるよ。");
+    return null;
+  }
+  try {
+    checkEncryptedBackup(c);
+  } catch (err) {
+    alert(err.message);
+    return null;
+  }
+  let error = "";
+  for (;;) {
+    const passphrase = await askPassphrase({
+      title: "暗号化されたバックアップ",
+      hint: "書き出した時のパスフレーズを入れてね。",
+      error,
+    });
+    if (passphrase == null) return null;
+    try {
+      const backup = await decryptBackup(c, passphrase);
+      if (backup) return backup;
+    } catch {
+      alert("暗号化されたバックアップが壊れてるみたい。");
+      return null;
+    }
+    error = "パスフレーズが違うみたい。もう一度入れてね。";
+  }
+}
+
+// パスフレーズの入力画面。confirm なら2回入れてもらう。やめたら null
+function askPassphrase({ title, hint = "", error = "", confirm = false }) {
+  return new Promise((resolve) => {
+    passphraseAsk = { confirm, resolve };
+    $("passphraseTitle").textContent = title;
+    $("passphraseHint").textContent = hint;
+    $("passphraseConfirmField").hidden = !confirm;
+    $("passphrase").value = "";
+    $("passphraseConfirm").value = "";
+    setPassphraseError(error);
+    $("passphraseBackdrop").hidden = false;
+    $("passphrase").focus();
+  });
+}
+
+function setPassphraseError(message) {
+  $("passphraseError").textContent = message;
+  $("passphraseError").hidden = !message;
+}
+
+function submitPassphrase() {
+  const value = $("passphrase").value;
+  if (passphraseAsk?.confirm) {
+    if (value.length < PASSPHRASE_MIN) return setPassphraseError(`${PASSPHRASE_MIN} 文字以上にしてね。`);
+    if (value !== $("passphraseConfirm").value) return setPassphraseError("2回の入力が違うよ。");
+  } else if (!value) {
+    return setPassphraseError("パスフレーズを入れてね。");
+  }
+  closePassphrase(value);
+}
+
+function closePassphrase(result) {
+  const r = passphraseAsk;
+  passphraseAsk = null;
+  $("passphraseBackdrop").hidden = true;
+  $("passphrase").value = "";
+  $("passphraseConfirm").value = "";
+  r?.resolve(result);
+}
+
+// ---------- backup validation ----------
+// 取り込む前に schema/backup-v<n>.schema.json（JSON Schema）でレコードごとに確かめる
+// 見るのはスキーマで使っているキーワードだけ:
+//   $ref（#/$defs/…） type enum const pattern format(date-time) minimum maximum exclusiveMinimum
+//   minLength maxLength items properties required anyOf errorMessage（ajv-errors と同じ書き方）
+// 問題のある値は空にするか既定値にして取り込む（レコードごと捨てるのはオブジェクトでないものだけ）
+const SCHEMA_DIR = "./schema/";
+const PHOTO_MAX_BYTES = 10 * 1024 * 1024;
+const schemaCache = new Map(); // version -> Promise<schema>
+
+// 読めなければ null（スキーマ抜きの確認だけで進める）
+async function loadBackupSchema(version) {
+  if (!schemaCache.has(version)) {
+    schemaCache.set(version, fetch(`${SCHEMA_DIR}backup-v${version}.schema.json`).then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    }));
+  }
+  try {
+    return await schemaCache.get(version);
+  } catch {
+    schemaCache.delete(version);
+    return null;
+  }
+}
+
+const JSON_TYPE_LABELS = {
+  string: "文字", number: "数", integer: "整数", boolean: "true / false", array: "配列", object: "オブジェクト", null: "null",
+};
+const jsonType = (v) => (v === null ? "null" : Array.isArray(v) ? "array" : Number.isInteger(v) ? "integer" : typeof v);
+const isJsonType = (v, t) => jsonType(v) === t || (t === "number" && jsonType(v) === "integer");
+const isRecord = (v) => jsonType(v) === "object";
+
+// value を schema で確かめて、問題を { path, message, value } で out に足す
+function schemaProblems(value, schema, root, path = "", out = []) {
+  if (schema.$ref) {
+    const def = root.$defs?.[schema.$ref.replace(/^#\/\$defs\//, "")];
+    return def ? schemaProblems(value, def, root, path, out) : out;
+  }
+  const fail = (keyword, fallback) => {
+    const custom = typeof schema.errorMessage === "string" ? schema.errorMessage : schema.errorMessage?.[keyword];
+    out.push({ path, message: custom || fallback, value });
+    return out;
+  };
+
+  if (schema.anyOf && !schema.anyOf.some(s => !schemaProblems(value, s, root, path).length)) {
+    // どれにも合わない時は最初の候補の理由を出す
+    return schemaProblems(value, schema.anyOf[0], root, path, out);
+  }
+  if ("const" in schema && value !== schema.const) return fail("const", `${JSON.stringify(schema.const)} のはず`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail("enum", `使えない値（${schema.enum.filter(v => v !== "" && v != null).join(" / ")}）`);
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => isJsonType(value, t))) return fail("type", `${types.map(t => JSON_TYPE_LABELS[t] || t).join(" か ")}のはず`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) return fail("minLength", `${schema.minLength} 文字以上のはず`);
+    if (schema.maxLength != null && value.length > schema.maxLength) return fail("maxLength", `${schema.maxLength} 文字までのはず`);
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) return fail("pattern", "形式が違う");
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) return fail("format", "日時として読めない");
+  }
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) return fail("minimum", `${schema.minimum} 以上のはず`);
+    if (schema.maximum != null && value > schema.maximum) return fail("maximum", `${schema.maximum} 以下のはず`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) return fail("exclusiveMinimum", `${schema.exclusiveMinimum} より大きいはず`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => schemaProblems(v, schema.items, root, `${path}[${i}]`, out));
+  }
+  if (isRecord(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) out.push({ path: path ? `${path}.${key}` : key, message: "必須なのに無い", value: undefined });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) schemaProblems(value[key], sub, root, path ? `${path}.${key}` : key, out);
+    }
+  }
+  return out;
+}
+
+// data URL の写真が Blob に戻せて、大きすぎないか。戻せたら Blob、だめなら { message }
+function decodePhotoDataUrl(dataUrl) {
+  // base64 は 4 文字で 3 バイト。明らかに大きいものは戻す前に断る
+  const tooBig = (bytes) => ({ message: `写真が大きすぎる（${Math.round(bytes / 1024 / 1024)}MB、10MB まで）` });
+  if (dataUrl.length * 3 / 4 > PHOTO_MAX_BYTES) return tooBig(dataUrl.length * 3 / 4);
+  let blob;
+  try {
+    if (!/^data:image\//.test(dataUrl)) throw new Error("not an image");
+    blob = dataURLToBlob(dataUrl);
+  } catch {
+    return { message: "写真が読めない（data URL が壊れてる）" };
+  }
+  if (blob.size > PHOTO_MAX_BYTES) return tooBig(blob.size);
+  return { blob };
+}
+
+// スキーマでは書けない、レコードどうしのつながりの確認
+function referenceProblems(parsed, version) {
+  const out = [];
+  const ids = (list) => new Set((Array.isArray(list) ? list : []).filter(isRecord).map(r => r.id));
+  const paintIds = ids(parsed.paints);
+  if (version >= 2) {
+    const paletteIds = ids(parsed.palettes);
+    (Array.isArray(parsed.paletteSlots) ? parsed.paletteSlots : []).forEach((s, i) => {
+      if (!isRecord(s)) return;
+      if (!paletteIds.has(s.paletteId)) out.push({ path: `paletteSlots[${i}].paletteId`, message: "無いパレットを指してる（飛ばす）", value: s.paletteId });
+      else if (s.paintId != null && !paintIds.has(s.paintId)) out.push({ path: `paletteSlots[${i}].paintId`, message: "無い絵の具を指してる（空きマスにする）", value: s.paintId });
+    });
+  }
+  if (version >= 3) {
+    (Array.isArray(parsed.recipes) ? parsed.recipes : []).forEach((r, i) => {
+      (isRecord(r) && Array.isArray(r.items) ? r.items : []).forEach((it, j) => {
+        if (it?.paintId != null && !paintIds.has(it.paintId)) {
+          out.push({ path: `recipes[${i}].items[${j}].paintId`, message: "無い絵の具を指してる（削除済みとして残す）", value: it.paintId });
+        }
+      });
+    });
+  }
+  if (version >= 4) {
+    const photoIds = ids(parsed.photos);
+    (Array.isArray(parsed.paints) ? parsed.paints : []).forEach((p, i) => {
+      if (!isRecord(p)) return;
+      if (version === 4 && p.photoId != null && !photoIds.has(p.photoId)) {
+        out.push({ path: `paints[${i}].photoId`, message: "無い写真を指してる", value: p.photoId });
+      }
+      (version >= 5 && Array.isArray(p.photos) ? p.photos : []).forEach((r, j) => {
+        if (!photoIds.has(r?.photoId)) out.push({ path: `paints[${i}].photos[${j}].photoId`, message: "無い写真を指してる", value: r?.photoId });
+      });
+    });
+  }
+  if (version >= 7) {
+    const photoIds = ids(parsed.photos);
+    (Array.isArray(parsed.recipes) ? parsed.recipes : []).forEach((r, i) => {
+      if (isRecord(r) && r.resultPhotoId != null && !photoIds.has(r.resultPhotoId)) {
+        out.push({ path: `recipes[${i}].resultPhotoId`, message: "無い写真を指してる", value: r.resultPhotoId });
+      }
+    });
+  }
+  return out;
+}
+
+const BACKUP_KIND_LABELS = {
+  paints: "絵の具", palettes: "パレット", paletteSlots: "マス", recipes: "レシピ", photos: "写真",
+};
+
+// "paints[3].photos[0].label" -> { key: "paints[3]", label: "絵の具 4「…」", field: "photos[0].label" }
+function problemRecord(parsed, path) {
+  const m = /^(\w+)\[(\d+)\]\.?(.*)$/.exec(path);
+  if (!m || !BACKUP_KIND_LABELS[m[1]]) return { key: "", label: "バックアップ全体", field: path };
+  const rec = parsed[m[1]]?.[Number(m[2])];
+  const name = isRecord(rec) && typeof rec.name === "string" && rec.name ? `「${rec.name}」` : "";
+  return { key: `${m[1]}[${m[2]}]`, label: `${BACKUP_KIND_LABELS[m[1]]} ${Number(m[2]) + 1}${name}`, field: m[3] };
+}
+
+function problemValueText(v) {
+  if (v === undefined) return "";
+  const s = JSON.stringify(v);
+  return s.length > 40 ? `${s.slice(0, 40)}…` : s;
+}
+
+// 取り込み前の確認画面。取り込むなら true、やめるなら false
+function reviewImport(report) {
+  return new Promise((resolve) => {
+    importReview = { report, resolve };
+    renderImportReport();
+    $("importBackdrop").hidden = false;
+  });
+}
+
+function closeImportReview(ok) {
+  const r = importReview;
+  importReview = null;
+  $("importBackdrop").hidden = true;
+  r?.resolve(ok);
+}
+
+const IMPORT_PROBLEM_GROUPS_MAX = 100;
+
+function renderImportReport() {
+  const { mode, version, counts, current, problems, schemaMissing } = importReview.report;
+  const kinds = Object.keys(counts);
+  // v1 / v2 に無いパレット・レシピは残るが、指している絵の具は外れる
+  const unlinked = ["palettes", "recipes"].filter(k => !kinds.includes(k)).map(k => BACKUP_KIND_LABELS[k]);
+
+  $("importSummary").innerHTML = `
+    <div class="muted">バックアップ v${version}${mode === "replace" ? " で置き換え" : " を今のデータに追加"}</div>
+    ${mode === "replace" ? `
+      <div class="importWarning">
+        今のデータ（${kinds.map(k => `${BACKUP_KIND_LABELS[k]} ${current[k]} 件`).join("・")}）は全部消えて、この内容に置き換わるよ。
+        消える分は復元ポイントに取っておく。
+        ${unlinked.length ? `<br>${unlinked.join("・")}はそのまま残るけど、使っている絵の具は外れる（空きマス / 削除済み）。` : ""}
+      </div>` : ""}
+    <table class="importTable">
+      <thead><tr><th></th><th>追加</th><th>更新</th><th>スキップ</th></tr></thead>
+      <tbody>
+        ${kinds.map(k => `
+          <tr>
+            <th>${BACKUP_KIND_LABELS[k]}</th>
+            <td>${counts[k].added}</td>
+            <td>${counts[k].updated}</td>
+            <td>${counts[k].skipped}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+    ${schemaMissing ? `<div class="muted">スキーマを読めなかったので、細かい形式の確認はしていないよ。</div>` : ""}
+  `;
+
+  const groups = new Map(); // record key -> { label, items }
+  for (const pr of problems) {
+    const rec = problemRecord(importReview.report.parsed, pr.path);
+    if (!groups.has(rec.key)) groups.set(rec.key, { label: rec.label, items: [] });
+    groups.get(rec.key).items.push({ ...pr, field: rec.field });
+  }
+  const shown = [...groups.values()].slice(0, IMPORT_PROBLEM_GROUPS_MAX);
+  $("importProblems").hidden = problems.length === 0;
+  $("importProblems").innerHTML = problems.length ? `
+    <div class="muted">気になるところが ${problems.length} 件（${groups.size} 件のレコード）。おかしな値は空か既定値にして取り込むよ。</div>
+    <ul class="importProblemList">
+      ${shown.map(g => `
+        <li>
+          <div>${escapeHtml(g.label)}</div>
+          <ul>
+            ${g.items.map(it => `
+              <li>
+                ${it.field ? `<code>${escapeHtml(it.field)}</code> ` : ""}${escapeHtml(it.message)}
+                ${it.value !== undefined ? `<span class="pickerMeta">${escapeHtml(problemValueText(it.value))}</span>` : ""}
+              </li>`).join("")}
+          </ul>
+        </li>`).join("")}
+    </ul>
+    ${groups.size > shown.length ? `<div class="muted">ほか ${groups.size - shown.length} 件のレコードは省略</div>` : ""}
+  ` : "";
+  $("btnImportApply").textContent = mode === "replace" ? "置き換える" : "取り込む";
+}
+
+async function importJSON(file, mode) {
+  // mode: "merge" | "replace"
+  const text = await file.text();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    alert("JSONが壊れてるみたい。ファイルを確認してね。");
+    return;
+  }
+  if (parsed?.format === ENCRYPTED_FORMAT) {
+    parsed = await openEncryptedBackup(parsed);
+    if (!parsed) return;
+  }
+
+  if (!Array.isArray(parsed?.paints)) {
+    alert("このバックアップ形式は読めなかった。");
+    return;
+  }
+
+  const version = Number(parsed.version) || 1;
+  if (version > BACKUP_VERSION) {
+    alert("新しいアプリで作られたバックアップみたい。アプリを更新してから試してね。");
+    return;
+  }
+  const schema = await loadBackupSchema(version);
+  const problems = [
+    ...(schema ? schemaProblems(parsed, schema, schema) : []),
+    ...referenceProblems(parsed, version),
+  ];
+
+  // オブジェクトでないレコードは読みようがないので飛ばす
+  const listOf = (v) => (Array.isArray(v) ? v : []);
+  const incoming = parsed.paints.filter(isRecord);
+  // v1 にはパレットが無いので、パレット側には触らない
+  const hasPalettes = version >= 2;
+  const incomingPalettes = hasPalettes ? listOf(parsed.palettes).filter(isRecord) : [];
+  const incomingSlots = hasPalettes ? listOf(parsed.paletteSlots).filter(isRecord) : [];
+  const hasRecipes = version >= 3;
+  const incomingRecipes = hasRecipes ? listOf(parsed.recipes).filter(isRecord) : [];
+
+  // 写真: v5 は paint.photos、v4 は paint.photoId で photos を引く。v3 以前は paint.photoDataUrl
+  // どれも Blob に戻して入れ直す（読めないもの・大きすぎるものは飛ばす）
+  const backupPhotos = new Map(
+    (version >= 4 ? listOf(parsed.photos) : []).map((ph, k) => [ph?.id, { ...ph, path: `photos[${k}].dataUrl` }])
+  );
+  const incomingPhotos = incoming.map(p => {
+    const refs = version >= 5
+      ? listOf(p.photos).map(r => ({ ...backupPhotos.get(r?.photoId), label: r?.label }))
+      : version === 4
+      ? [{ ...backupPhotos.get(p.photoId) }]
+      : [{ dataUrl: p.photoDataUrl, name: p.photoName, path: `paints[${parsed.paints.indexOf(p)}].photoDataUrl` }];
+    const out = [];
+    for (const r of refs) {
+      if (typeof r.dataUrl !== "string" || !r.dataUrl) continue;
+      const photo = decodePhotoDataUrl(r.dataUrl);
+      // 知らないラベルは「その他」
+      const label = !r.label ? "masstone" : photoLabel(r.label) === r.label ? "other" : r.label;
+      if (photo.blob) out.push({ blob: photo.blob, name: r.name || "", label });
+      else problems.push({ path: r.path, message: photo.message, value: undefined });
+    }
+    return out;
+  });
+
+  // バックアップ内で uid が重なっていたら（手で編集した等）後のものに振り直す
+  const dedupeUids = (list) => {
+    const seen = new Set();
+    for (const r of list) {
+      if (seen.has(r.uid)) r.uid = newUid();
+      seen.add(r.uid);
+    }
+    return list;
+  };
+  const cleanPaints = dedupeUids(incoming.map(cleanImportedPaint));
+  const cleanPalettes = dedupeUids(incomingPalettes.map(cleanImportedPalette));
+  const cleanRecipes = dedupeUids(incomingRecipes.map(cleanImportedRecipe));
+  // レシピの写真: v7 は recipe.resultPhotoId で photos を引く。v6 以前は recipe.resultPhotoDataUrl
+  const incomingRecipePhotos = incomingRecipes.map(r => {
+    const ref = version >= 7
+      ? { ...backupPhotos.get(r.resultPhotoId) }
+      : { dataUrl: r.resultPhotoDataUrl, path: `recipes[${parsed.recipes.indexOf(r)}].resultPhotoDataUrl` };
+    if (typeof ref.dataUrl !== "string" || !ref.dataUrl) return null;
+    const photo = decodePhotoDataUrl(ref.dataUrl);
+    if (photo.blob) return { blob: photo.blob, name: ref.name || "" };
+    problems.push({ path: ref.path, message: photo.message, value: undefined });
+    return null;
+  });
+
+  // merge: 既にある絵の具とぶつかるものは、どうするか先に決める
+  // keep: 今のを残す / incoming: 取り込む方で上書き / both: 別の絵の具として両方残す
+  const resolutions = new Map(); // incoming index -> { action, existing }
+  const existingPalettes = new Map();
+  const existingRecipes = new Map();
+  if (mode === "merge") {
+    const conflicts = findImportConflicts(cleanPaints, await getAllPaints());
+    for (const c of conflicts.filter(c => c.same)) resolutions.set(c.index, { action: "keep", existing: c.existing });
+    const toReview = conflicts.filter(c => !c.same);
+    if (toReview.length) {
+      const choices = await reviewImportConflicts(toReview);
+      if (!choices) return;
+      toReview.forEach((c, i) => resolutions.set(c.index, { action: choices[i], existing: c.existing }));
+    }
+    // パレット / レシピは uid が同じなら新しい方を自動で採る
+    for (const p of await getAllPalettes()) existingPalettes.set(p.uid, p);
+    for (const r of await getAllRecipes()) existingRecipes.set(r.uid, r);
+  }
+
+  // 書く前に、何件入るか・何が問題かを見せる（replace の確認もここで）
+  const counts = { paints: { added: 0, updated: 0, skipped: parsed.paints.length - incoming.length } };
+  cleanPaints.forEach((_, i) => {
+    const action = resolutions.get(i)?.action;
+    counts.paints[action === "keep" ? "skipped" : action === "incoming" ? "updated" : "added"]++;
+  });
+  const countByUid = (list, existing, skipped) => {
+    const c = { added: 0, updated: 0, skipped };
+    for (const clean of list) {
+      const cur = existing.get(clean.uid);
+      c[!cur ? "added" : clean.updatedAt > (cur.updatedAt || "") ? "updated" : "skipped"]++;
+    }
+    return c;
+  };
+  if (hasPalettes) counts.palettes = countByUid(cleanPalettes, existingPalettes, listOf(parsed.palettes).length - incomingPalettes.length);
+  if (hasRecipes) counts.recipes = countByUid(cleanRecipes, existingRecipes, listOf(parsed.recipes).length - incomingRecipes.length);
+  const current = {};
+  if (mode === "replace") {
+    current.paints = (await getAllPaints()).length;
+    if (hasPalettes) current.palettes = (await getAllPalettes()).length;
+    if (hasRecipes) current.recipes = (await getAllRecipes()).length;
+  }
+  // 同じ場所の問題は最初の1つだけ（スキーマと写真の読み込みで二重に出るので）
+  const seenPaths = new Set();
+  const report = {
+    mode,
+    version,
+    parsed,
+    counts,
+    current,
+    problems: problems.filter(pr => !seenPaths.has(pr.path) && seenPaths.add(pr.path)),
+    schemaMissing: !schema,
+  };
+  if (!(await reviewImport(report))) return;
+
+  if (mode === "replace") {
+    try {
+      await takeSnapshot("before-replace");
+    } catch (err) {
+      if (!confirm(`${snapshotErrorText(err)}\n今のデータを取っておかずに置き換える？`)) return;
+    }
+  }
+
+  // replace: 消すのも書くのも1つのトランザクションで（途中で失敗したら今のデータがそのまま残る）
+  //          バックアップのIDをそのまま使う
+  // merge:   既存データとIDがぶつからないよう新しいIDで追加し（同じものは既存のIDへ）、
+  //          paletteSlots / recipes が指す paletteId / paintId を新しいIDに付け替える
+  const keepIds = mode === "replace";
+  // replace は同期では「今置き換えた」という新しい変更として扱う
+  const stamp = nowISO();
+  if (keepIds) {
+    for (const clean of [...cleanPaints, ...cleanPalettes, ...cleanRecipes]) clean.updatedAt = stamp;
+  }
+  const db = await openDB();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction([STORE, STORE_PALETTES, STORE_SLOTS, STORE_RECIPES, STORE_PHOTOS, STORE_TRASH, STORE_TOMBSTONES], "readwrite");
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+      try {
+        if (keepIds) {
+          const kept = new Map([[STORE, new Set(cleanPaints.map(p => p.uid))]]);
+          if (hasPalettes) kept.set(STORE_PALETTES, new Set(cleanPalettes.map(p => p.uid)));
+          if (hasRecipes) kept.set(STORE_RECIPES, new Set(cleanRecipes.map(r => r.uid)));
+          tombstoneReplaced(tx, kept);
+          tx.objectStore(STORE).clear();
+          if (hasRecipes) {
+            tx.objectStore(STORE_PHOTOS).clear();
+          } else {
+            // v1 / v2 ではレシピを残すので、レシピの写真も残す（キーは追加より前に取っておく）
+            const recipesReq = tx.objectStore(STORE_RECIPES).getAll();
+            const keysReq = tx.objectStore(STORE_PHOTOS).getAllKeys();
+            keysReq.onsuccess = () => {
+              const keep = new Set(recipesReq.result.map(r => r.resultPhotoId));
+              for (const key of keysReq.result) if (!keep.has(key)) tx.objectStore(STORE_PHOTOS).delete(key);
+            };
+          }
+          tx.objectStore(STORE_TRASH).clear(); // ゴミ箱の絵の具は写真を参照しているので一緒に
+          // v1 / v2 で残すパレット・レシピは消した絵の具の id を指している。
+          // 同じ id にバックアップの別の絵の具が入るので、空きマス / 「削除済み」にしておく
+          const unlinkPaints = (name, fix) => {
+            const req = tx.objectStore(name).openCursor();
+            req.onsuccess = () => {
+              const cursor = req.result;
+              if (!cursor) return;
+              const next = fix(cursor.value);
+              if (next) cursor.update({ ...next, updatedAt: stamp });
+              cursor.continue();
+            };
+          };
+          if (hasPalettes) {
+            tx.objectStore(STORE_PALETTES).clear();
+            tx.objectStore(STORE_SLOTS).clear();
+          } else {
+            unlinkPaints(STORE_SLOTS, (s) => s.paintId != null && { ...s, paintId: null });
+          }
+          if (hasRecipes) {
+            tx.objectStore(STORE_RECIPES).clear();
+          } else {
+            unlinkPaints(STORE_RECIPES, (r) => (r.items || []).some(it => it.paintId != null) && {
+              ...r,
+              items: r.items.map(it => ({ ...it, paintId: null })),
+              paintIds: [],
+            });
+          }
+        }
+        const paintStore = tx.objectStore(STORE);
+        const photoStore = tx.objectStore(STORE_PHOTOS);
+        const paletteStore = tx.objectStore(STORE_PALETTES);
+        const slotStore = tx.objectStore(STORE_SLOTS);
+        const recipeStore = tx.objectStore(STORE_RECIPES);
+
+        const paintIdMap = new Map();   // old id -> new id
+        const paletteIdMap = new Map(); // old id -> new id
+        const keptPaletteIds = new Set(); // 既存の方が新しかったパレット（マスも触らない）
+        let pending = 0;
+
+        // 絵の具・パレットの新IDが全部そろってから、参照する側を書く
+        const writeRefs = () => {
+          for (const s of incomingSlots) {
+            const paletteId = paletteIdMap.get(s?.paletteId);
+            const index = Number(s?.index);
+            if (paletteId == null || !Number.isInteger(index) || index < 0) continue;
+            if (keptPaletteIds.has(paletteId)) continue;
+            // バックアップに含まれない絵の具を指していたら空きマスにする
+            const paintId = s.paintId == null ? null : (paintIdMap.get(s.paintId) ?? null);
+            slotStore.put({ paletteId, index, paintId, updatedAt: keepIds ? stamp : s.updatedAt || nowISO() });
+          }
+
+          incomingRecipes.forEach((r, i) => {
+            const clean = cleanRecipes[i];
+            // 付け替え先がない絵の具は、レシピ上「削除済み」として残す
+            clean.items = clean.items.map(it => ({ ...it, paintId: paintIdMap.get(it.paintId) ?? null }));
+            clean.paintIds = recipePaintIds(clean.items);
+            const cur = existingRecipes.get(clean.uid);
+            if (cur && !(clean.updatedAt > (cur.updatedAt || ""))) return;
+            const write = () => {
+              if (cur) recipeStore.put({ ...clean, id: cur.id });
+              else if (keepIds && typeof r.id === "number") recipeStore.put({ ...clean, id: r.id });
+              else recipeStore.add(clean);
+            };
+            // 写真は絵の具と同じく、取り込む方にあれば差し替え、無ければ今のを残す
+            const photo = incomingRecipePhotos[i];
+            if (!photo) {
+              clean.resultPhotoId = cur?.resultPhotoId ?? null;
+              return write();
+            }
+            if (cur?.resultPhotoId != null) photoStore.delete(cur.resultPhotoId);
+            const req = photoStore.add({ blob: photo.blob, name: photo.name, createdAt: nowISO() });
+            req.onsuccess = () => {
+              clean.resultPhotoId = req.result;
+              write();
+            };
+          });
+        };
+
+        // targetId があればそのレコードを上書き（merge で「取り込む方」を選んだもの）
+        const putOrAdd = (store, clean, idMap, targetId) => {
+          const oldId = clean.id;
+          let req;
+          if (targetId != null) {
+            req = store.put({ ...clean, id: targetId });
+          } else if (keepIds && typeof oldId === "number") {
+            req = store.put(clean);
+          } else {
+            delete clean.id;
+            req = store.add(clean);
+          }
+          pending++;
+          req.onsuccess = () => {
+            if (oldId != null) idMap.set(oldId, req.result);
+            if (--pending === 0) writeRefs();
+          };
+        };
+
+        cleanPaints.forEach((clean, i) => {
+          let photos = incomingPhotos[i];
+          let targetId;
+          const res = resolutions.get(i);
+          if (res?.action === "keep") {
+            if (clean.id != null) paintIdMap.set(clean.id, res.existing.id);
+            return;
+          }
+          if (res?.action === "incoming") {
+            targetId = res.existing.id;
+            clean.uid = res.existing.uid;
+            clean.createdAt = res.existing.createdAt || clean.createdAt;
+            // 写真は取り込む方にあれば差し替え、無ければ今のを残す
+            if (photos.length) {
+              for (const ph of paintPhotos(res.existing)) photoStore.delete(ph.photoId);
+            } else {
+              clean.photos = paintPhotos(res.existing);
+            }
+          }
+          if (res?.action === "both" && clean.uid === res.existing.uid) clean.uid = newUid();
+
+          if (!photos.length) return putOrAdd(paintStore, clean, paintIdMap, targetId);
+          // 写真を先に全部入れて、その ID を並び順どおり絵の具に持たせる
+          pending++;
+          let left = photos.length;
+          clean.photos = new Array(photos.length);
+          photos.forEach((ph, j) => {
+            const req = photoStore.add({ blob: ph.blob, name: ph.name, createdAt: nowISO() });
+            req.onsuccess = () => {
+              clean.photos[j] = { photoId: req.result, label: ph.label };
+              if (--left > 0) return;
+              putOrAdd(paintStore, clean, paintIdMap, targetId);
+              if (--pending === 0) writeRefs();
+            };
+          });
+        });
+        for (const clean of cleanPalettes) {
+          const cur = existingPalettes.get(clean.uid);
+          if (!cur) {
+            putOrAdd(paletteStore, clean, paletteIdMap);
+          } else if (clean.updatedAt > (cur.updatedAt || "")) {
+            // マスは取り込む方で置き直す
+            slotStore.delete(IDBKeyRange.bound([cur.id, 0], [cur.id, Infinity]));
+            putOrAdd(paletteStore, clean, paletteIdMap, cur.id);
+          } else {
+            if (clean.id != null) paletteIdMap.set(clean.id, cur.id);
+            keptPaletteIds.add(cur.id);
+          }
+        }
+        if (pending === 0) writeRefs();
+      } catch (err) {
+        // ここで止まってもトランザクションが勝手に確定しないように（消しただけで終わらない）
+        tx.abort();
+        reject(err);
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    alert(`取り込めなかった。今のデータは何も変わってないよ。（${err?.message || err}）`);
+    return;
+  }
+
+  if (mode === "replace" && hasPalettes) activePaletteId = null;
+  clearHistory(); // 復元前の履歴を書き戻すと壊れるので捨てる
+  await ensureThumbnails();
+  await reload();
+  alert("復元できたよ！");
+}
+
+// 重複の確認画面。決めた内容（conflicts と同じ順の "keep" | "incoming" | "both"）か、キャンセルなら null
+function reviewImportConflicts(conflicts) {
+  return new Promise((resolve) => {
+    dupReview = { conflicts, choices: conflicts.map(newestChoice), resolve };
+    renderDupReview();
+    $("dupBackdrop").hidden = false;
+  });
+}
+
+function closeDupReview(result) {
+  const r = dupReview;
+  dupReview = null;
+  $("dupBackdrop").hidden = true;
+  r?.resolve(result);
+}
+
+function dupSideHtml(p, title, newer) {
+  return `
+    <div class="dupSide ${newer ? "dupSide--newer" : ""}">
+      <div class="muted">${title}${newer ? "（新しい）" : ""}</div>
+      <div class="dupSide__row">
+        ${swatchHtml(p, "swatch swatch--sm")}
+        <div>
+          <div>${escapeHtml(p.name || "")}</div>
+          <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")}${p.code ? ` #${escapeHtml(p.code)}` : ""} / ${escapeHtml(statusLabel(p.status))}${p.hex ? ` / ${escapeHtml(p.hex)}` : ""}</div>
+          <div class="pickerMeta">更新: ${escapeHtml((p.updatedAt || "不明").slice(0, 16).replace("T", " "))}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderDupReview() {
+  const { conflicts, choices } = dupReview;
+  $("dupSummary").textContent = `${conflicts.length} 件が今のデータと同じ絵の具みたい。どっちを残すか選んでね。`;
+  $("dupList").innerHTML = conflicts.map((c, i) => {
+    const incomingNewer = newestChoice(c) === "incoming";
+    return `
+      <div class="dupItem">
+        <div class="dupPair">
+          ${dupSideHtml(c.existing, "今のデータ", !incomingNewer)}
+          ${dupSideHtml(c.incoming, "バックアップ", incomingNewer)}
+        </div>
+        <select data-index="${i}">
+          <option value="keep" ${choices[i] === "keep" ? "selected" : ""}>今のを残す</option>
+          <option value="incoming" ${choices[i] === "incoming" ? "selected" : ""}>バックアップの方にする</option>
+          <option value="both" ${choices[i] === "both" ? "selected" : ""}>両方残す</option>
+        </select>
+      </div>
+    `;
+  }).join("");
+}
+
+function renderDupWarning() {
+  const box = $("dupWarning");
+  const found = findDuplicatePaints({
+    id: editingId,
+    brand: $("brand").value,
+    code: $("code").value,
+    name: $("name").value,
+  });
+  box.hidden = found.length === 0;
+  box.innerHTML = found.length
+    ? `同じ絵の具がもう登録されてるよ: ` + found.map(p => `
+        <button type="button" class="tag tag--link" data-id="${p.id}">
+          ${escapeHtml(p.name || "")} / ${escapeHtml(p.brand || "メーカー未設定")}${p.code ? ` #${escapeHtml(p.code)}` : ""}（${escapeHtml(statusLabel(p.status))}）
+        </button>`).join("")
+    : "";
+}
+
+// ---------- snapshots ----------
+// 復元ポイント: 全ストアを丸ごと IndexedDB の snapshots に取っておく（写真の Blob もそのまま）
+// { id, createdAt, reason, summary: { paints, palettes, recipes, photos }, data: { [storeName]: [...] } }
+// 毎日1回（開いた時と、開きっぱなしなら1時間ごとに確認）と、置き換え復元・復元ポイントから戻す前に作る
+// 選んだフォルダがあれば（File System Access API）バックアップと同じ形の JSON も書き出す
+const SNAPSHOT_STORES = [STORE, STORE_PALETTES, STORE_SLOTS, STORE_RECIPES, STORE_PHOTOS, STORE_CATALOGS, STORE_TRASH, STORE_TOMBSTONES];
+const SNAPSHOT_KEEP = { daily: 7, other: 5 }; // 毎日の分と、それ以外（置き換え前・手動など）で別々に数える
+const SNAPSHOT_CHECK_MS = 60 * 60 * 1000;
+
+const snapshotReasonLabel = (r) => ({
+  daily: "毎日の自動",
+  "before-replace": "置き換え復元の前",
+  "before-restore": "復元ポイントから戻す前",
+  manual: "手動",
+}[r] || r);
+
+async function getMeta(key) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_META, "readonly").objectStore(STORE_META).get(key);
+    req.onsuccess = () => resolve(req.result?.value);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function setMeta(key, value) {
+  await withStoreName(STORE_META, "readwrite", (store) =>
+    value == null ? store.delete(key) : store.put({ key, value }));
+}
+
+// 一覧用（data は重いので外す）。新しい順
+async function getSnapshotList() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const out = [];
+    const req = db.transaction(STORE_SNAPSHOTS, "readonly").objectStore(STORE_SNAPSHOTS).index("createdAt").openCursor(null, "prev");
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(out);
+      const { data, ...meta } = cursor.value;
+      out.push(meta);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getSnapshot(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction(STORE_SNAPSHOTS, "readonly").objectStore(STORE_SNAPSHOTS).get(id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function deleteSnapshot(id) {
+  await withStoreName(STORE_SNAPSHOTS, "readwrite", (store) => store.delete(id));
+  await pruneSnapshotPhotos();
+}
+
+// 写真の Blob は作った後は変わらないので、id と作った時刻・大きさで同じものとみなす
+const snapshotPhotoKey = (ph) => `${ph.id}:${ph.createdAt || ""}:${ph.blob?.size ?? 0}`;
+
+// snapshotPhotos に置いた写真を data に戻す（v10 の頃の復元ポイントは写真を中に持っている）
+async function withSnapshotPhotos(snap) {
+  const refs = (snap.data[STORE_PHOTOS] || []).filter(ph => ph.snapshotPhoto);
+  if (!refs.length) return snap;
+  const db = await openDB();
+  const blobs = await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_SNAPSHOT_PHOTOS, "readonly");
+    const store = tx.objectStore(STORE_SNAPSHOT_PHOTOS);
+    const out = new Map();
+    for (const ph of refs) {
+      const req = store.get(ph.snapshotPhoto);
+      req.onsuccess = () => out.set(ph.snapshotPhoto, req.result?.blob || null);
+    }
+    tx.oncomplete = () => resolve(out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const photos = snap.data[STORE_PHOTOS].map(({ snapshotPhoto, ...ph }) =>
+    snapshotPhoto ? { ...ph, blob: blobs.get(snapshotPhoto) || null } : ph);
+  return { ...snap, data: { ...snap.data, [STORE_PHOTOS]: photos } };
+}
+
+// どの復元ポイントからも指されなくなった写真を消す
+async function pruneSnapshotPhotos() {
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_PHOTOS], "readwrite");
+    const used = new Set();
+    const cursorReq = tx.objectStore(STORE_SNAPSHOTS).openCursor();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (cursor) {
+        for (const ph of cursor.value.data[STORE_PHOTOS] || []) if (ph.snapshotPhoto) used.add(ph.snapshotPhoto);
+        cursor.continue();
+        return;
+      }
+      const photoStore = tx.objectStore(STORE_SNAPSHOT_PHOTOS);
+      const keysReq = photoStore.getAllKeys();
+      keysReq.onsuccess = () => {
+        for (const key of keysReq.result) if (!used.has(key)) photoStore.delete(key);
+      };
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 中身が同じかの目印（FNV-1a）。Blob は大きさだけ、サムネイルは作り直すことがあるので見ない
+function snapshotFingerprint(data) {
+  const json = JSON.stringify(data, (k, v) => (k === "thumb" ? undefined : v instanceof Blob ? v.size : v));
+  let h = 0x811c9dc5;
+  for (let i = 0; i < json.length; i++) {
+    h ^= json.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return `${json.length}:${(h >>> 0).toString(16)}`;
+}
+
+// 作れなかった時に見せる言葉（たいていは保存容量がいっぱい）
+function snapshotErrorText(err) {
+  return err?.name === "QuotaExceededError"
+    ? "保存容量がいっぱいで、復元ポイントを作れなかった。古い復元ポイントを消すか、写真を減らしてね。"
+    : `復元ポイントを作れなかった。（${err?.message || err}）`;
+}
+
+// 全部のストアを1つの読み取りトランザクションで（途中の書き込みが混ざらないように）
+async function readAllStores() {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOT_STORES, "readonly");
+    const data = {};
+    for (const name of SNAPSHOT_STORES) {
+      const req = tx.objectStore(name).getAll();
+      req.onsuccess = () => (data[name] = req.result || []);
+    }
+    tx.oncomplete = () => resolve(data);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// onlyIfChanged: いちばん新しい復元ポイントと中身が同じなら作らずに null
+async function takeSnapshot(reason, { onlyIfChanged = false } = {}) {
+  const data = await readAllStores();
+  const fingerprint = snapshotFingerprint(data);
+  if (onlyIfChanged && (await getSnapshotList())[0]?.fingerprint === fingerprint) return null;
+  const snap = {
+    createdAt: nowISO(),
+    reason,
+    fingerprint,
+    summary: {
+      paints: data[STORE].length,
+      palettes: data[STORE_PALETTES].length,
+      recipes: data[STORE_RECIPES].length,
+      photos: data[STORE_PHOTOS].length,
+    },
+    // 写真の本体は snapshotPhotos に（まだ無いものだけ入れる）
+    data: {
+      ...data,
+      [STORE_PHOTOS]: data[STORE_PHOTOS].map(({ blob, thumb, ...ph }) => ({ ...ph, snapshotPhoto: snapshotPhotoKey({ ...ph, blob }) })),
+    },
+  };
+  const db = await openDB();
+  const id = await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE_SNAPSHOTS, STORE_SNAPSHOT_PHOTOS], "readwrite");
+    const photoStore = tx.objectStore(STORE_SNAPSHOT_PHOTOS);
+    for (const ph of data[STORE_PHOTOS]) {
+      if (!ph.blob) continue;
+      const key = snapshotPhotoKey(ph);
+      const req = photoStore.getKey(key);
+      req.onsuccess = () => {
+        if (req.result === undefined) photoStore.put({ key, blob: ph.blob });
+      };
+    }
+    const addReq = tx.objectStore(STORE_SNAPSHOTS).add(snap);
+    tx.oncomplete = () => resolve(addReq.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  await pruneSnapshots();
+  try {
+    await writeSnapshotToFolder({ ...snap, data });
+  } catch (err) {
+    console.warn("snapshot folder write failed:", err);
+  }
+  return id;
+}
+
+async function pruneSnapshots() {
+  const list = await getSnapshotList();
+  const daily = list.filter(s => s.reason === "daily").slice(SNAPSHOT_KEEP.daily);
+  const other = list.filter(s => s.reason !== "daily").slice(SNAPSHOT_KEEP.other);
+  const ids = [...daily, ...other].map(s => s.id);
+  if (!ids.length) return;
+  await withStoreName(STORE_SNAPSHOTS, "readwrite", (store) => {
+    for (const id of ids) store.delete(id);
+  });
+  await pruneSnapshotPhotos();
+}
+
+// 今日の毎日分がまだなら作る（日付は端末のローカル時刻で）
+// 前の復元ポイントから何も変わっていなければ作らない（同じ中身を何日分も持たない）
+async function ensureDailySnapshot() {
+  const today = new Date().toLocaleDateString("sv");
+  if ((await getMeta("dailySnapshotCheckedOn")) === today) return null;
+  const last = (await getSnapshotList()).find(s => s.reason === "daily");
+  if (last && new Date(last.createdAt).toLocaleDateString("sv") === today) return null;
+  const id = await takeSnapshot("daily", { onlyIfChanged: true });
+  await setMeta("dailySnapshotCheckedOn", today);
+  return id;
+}
+
+// 今のデータを全部消して、復元ポイントの中身に置き換える（1トランザクション）
+async function restoreSnapshot(id) {
+  const stored = await getSnapshot(id);
+  if (!stored) return false;
+  const snap = await withSnapshotPhotos(stored);
+  try {
+    await takeSnapshot("before-restore");
+  } catch (err) {
+    if (!confirm(`${snapshotErrorText(err)}\n今のデータを取っておかずに戻す？`)) return false;
+  }
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(SNAPSHOT_STORES, "readwrite");
+    // 同期では「今戻した」という新しい変更として扱う（消えるものには削除記録、今の削除記録は残す）
+    const kept = new Map(Object.keys(SYNC_KINDS).map(name => [name, new Set((snap.data[name] || []).map(r => r.uid))]));
+    tombstoneReplaced(tx, kept, snap.data[STORE_TOMBSTONES] || []);
+    const stamp = nowISO();
+    for (const name of SNAPSHOT_STORES) {
+      if (name === STORE_TOMBSTONES) continue;
+      const store = tx.objectStore(name);
+      const touch = SYNC_KINDS[name] || name === STORE_SLOTS;
+      store.clear();
+      for (const rec of snap.data[name] || []) store.put(touch ? { ...rec, updatedAt: stamp } : rec);
+    }
+    migrateRecipePhotos(tx); // DB v12 より前の復元ポイントはレシピに写真を埋め込んでいる
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  clearHistory(); // 戻す前の履歴を書き戻すと壊れるので捨てる
+  activePaletteId = null;
+  await ensureThumbnails(); // 復元ポイントにはサムネイルを入れていない
+  return true;
+}
+
+// ---- フォルダへの書き出し ----
+const canPickFolder = () => typeof window.showDirectoryPicker === "function";
+
+async function snapshotFolder({ ask = false } = {}) {
+  const handle = await getMeta("snapshotFolder");
+  if (!handle) return null;
+  const opts = { mode: "readwrite" };
+  let state = await handle.queryPermission(opts);
+  // 許可をもらうのはボタンを押した時だけ（自動の時に聞くとブラウザに止められる）
+  if (state === "prompt" && ask) state = await handle.requestPermission(opts);
+  return state === "granted" ? handle : null;
+}
+
+async function writeSnapshotToFolder(snap, handle = null) {
+  const dir = handle || (await snapshotFolder());
+  if (!dir) return false;
+  const stamp = snap.createdAt.replace(/[:.]/g, "-").slice(0, 19);
+  const file = await dir.getFileHandle(`paint-manager-snapshot-${stamp}.json`, { create: true });
+  const writable = await file.createWritable();
+  await writable.write(new Blob([JSON.stringify(await backupFromStores(snap.data, snap.createdAt))], { type: "application/json" }));
+  await writable.close();
+  return true;
+}
+
+// ---- UI ----
+async function renderSnapshots() {
+  const list = await getSnapshotList();
+  $("snapshotEmpty").hidden = list.length !== 0;
+  $("snapshotList").innerHTML = list.map(s => `
+    <div class="pickerItem snapshotItem" data-id="${s.id}">
+      <div class="trashIcon">⟲</div>
+      <div class="trashItem__body">
+        <div class="pickerTitle">${escapeHtml(s.createdAt.slice(0, 16).replace("T", " "))}（${escapeHtml(snapshotReasonLabel(s.reason))}）</div>
+        <div class="pickerMeta">絵の具 ${s.summary.paints} / パレット ${s.summary.palettes} / レシピ ${s.summary.recipes} / 写真 ${s.summary.photos}</div>
+        <div class="snapshotPreview" hidden></div>
+      </div>
+      <div class="trashItem__actions">
+        <button type="button" class="btn btn--ghost btn--sm" data-act="preview" data-id="${s.id}">中身を見る</button>
+        <button type="button" class="btn btn--sm" data-act="restore" data-id="${s.id}">この時点に戻す</button>
+        <button type="button" class="btn btn--danger btn--sm" data-act="delete" data-id="${s.id}">削除</button>
+      </div>
+    </div>
+  `).join("");
+
+  const folder = await getMeta("snapshotFolder");
+  // ブラウザを開き直すと許可は「聞き直し」に戻る。その間は書き出せていない
+  const allowed = folder && (await folder.queryPermission({ mode: "readwrite" })) === "granted";
+  $("btnSnapshotFolder").hidden = !canPickFolder();
+  $("btnSnapshotFolderOff").hidden = !folder;
+  $("snapshotFolderInfo").textContent = !canPickFolder()
+    ? "このブラウザはフォルダへの書き出しに対応していないみたい。"
+    : !folder
+    ? ""
+    : allowed
+    ? `フォルダ「${folder.name}」にも書き出すよ（古いファイルは消さないので、いらなくなったら手で消してね）。`
+    : `フォルダ「${folder.name}」へ書き出す許可が切れていて、今は書き出せていないよ。「今すぐ作る」を押すと許可を聞き直す。`;
+}
 
-// ---------- render ----------
-function matchesQuery(p, q) {
-  if (!q) return true;
-  const hay = [
-    p.brand, p.line, p.name, p.code, p.type, p.status,
-    ...(p.tags || []),
-    p.notes
-  ].filter(Boolean).join(" ").toLowerCase();
-  return hay.includes(q.toLowerCase());
+// 今のデータと比べた中身（名前で）
+async function snapshotPreviewHtml(id) {
+  const snap = await getSnapshot(id);
+  if (!snap) return "";
+  const names = (list) => list.map(r => r.name || "").filter(Boolean);
+  const nowUids = new Set(paints.map(p => p.uid));
+  const thenUids = new Set(snap.data[STORE].map(p => p.uid));
+  const gone = paints.filter(p => !thenUids.has(p.uid));
+  const back = snap.data[STORE].filter(p => !nowUids.has(p.uid));
+  const line = (label, list) =>
+    `<div><span class="muted">${label}（${list.length}）</span> ${escapeHtml(list.slice(0, 40).join("、"))}${list.length > 40 ? " …" : ""}</div>`;
+  return [
+    line("絵の具", names(snap.data[STORE])),
+    line("パレット", names(snap.data[STORE_PALETTES])),
+    line("レシピ", names(snap.data[STORE_RECIPES])),
+    line("戻すと増える絵の具", names(back)),
+    line("戻すと消える絵の具", names(gone)),
+  ].join("");
 }
 
-function applyFilters(list) {
-  const q = $("q").value.trim();
-  const st = $("filterStatus").value;
-  let out = list.filter(p => matchesQuery(p, q));
-  if (st !== "all") out = out.filter(p => p.status === st);
+// ---------- sync ----------
+// 端末どうしで変更だけをやりとりする（差分ファイル or WebRTC のデータチャネル）
+// - レコードは uid で突き合わせて updatedAt が新しい方を採る（同じなら今のまま）
+// - 消したものは tombstones で伝える。相手側ではゴミ箱に入る
+// - パレットのマスはパレットの一部として送る（マスの updatedAt も含めて一番新しい時刻をパレットの時刻に）
+// - receivedAt は同期で受け取った時刻。updatedAt は元の端末の時刻のままなので、
+//   受け取ったものを別の端末へ流す差分に入れるにはこっちを見る
+const SYNC_FORMAT = "paint-manager-sync";
+const SYNC_VERSION = 1;
+const SYNC_KEY = "paintManager:sync";
+const SYNC_CHUNK = 16 * 1024; // データチャネル1通の大きさ（大きすぎると落ちるブラウザがある）
+const SYNC_DEFAULT_SERVER = "http://localhost:8787";
+
+// { deviceId, server, lastFileExportAt, peers: { [deviceId]: { lastSyncAt } } }
+function syncState() {
+  let s = null;
+  try {
+    s = JSON.parse(localStorage.getItem(SYNC_KEY) || "null");
+  } catch {
+    // 壊れていたら作り直す
+  }
+  if (!s || !isUid(s.deviceId)) s = { deviceId: newUid() };
+  s.peers ||= {};
+  return s;
+}
 
-  const sortBy = $("sortBy").value;
-  const cmp = {
-    updatedDesc: (a,b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""),
-    createdDesc: (a,b) => (b.createdAt || "").localeCompare(a.createdAt || ""),
-    nameAsc: (a,b) => (a.name || "").localeCompare(b.name || "", "ja"),
-    brandAsc: (a,b) => (a.brand || "").localeCompare(b.brand || "", "ja"),
-  }[sortBy] || ((a,b)=>0);
+function saveSyncState(patch) {
+  const s = { ...syncState(), ...patch };
+  localStorage.setItem(SYNC_KEY, JSON.stringify(s));
+  return s;
+}
 
-  out.sort(cmp);
-  return out;
+const latest = (...times) => times.map(t => t || "").sort().pop();
+
+// since（この端末の時刻）より後に変わったものだけ。since が空なら全部
+// skipReceivedAt: その時に受け取ったもの（receivedAt が同じ）は、受け取ったことを変更と見なさない
+async function buildChangeSet(since = "", { skipReceivedAt = "" } = {}) {
+  const changed = (at, receivedAt) => !since || latest(at, receivedAt === skipReceivedAt ? "" : receivedAt) > since;
+  const allPaints = await getAllPaints();
+  const paintUid = new Map(allPaints.map(p => [p.id, p.uid]));
+  const photoById = new Map((await getAllPhotos()).map(ph => [ph.id, ph]));
+  const allSlots = await getAllFrom(STORE_SLOTS);
+  const liveAt = new Map(); // uid -> updatedAt（消した記録より新しく作り直されていたら送らない）
+
+  const paints = [];
+  for (const p of allPaints) {
+    liveAt.set(p.uid, p.updatedAt || "");
+    if (!changed(p.updatedAt, p.receivedAt)) continue;
+    const { id, receivedAt, photos, ...rest } = p;
+    const out = [];
+    for (const ref of paintPhotos(p)) {
+      const ph = photoById.get(ref.photoId);
+      if (ph?.blob) out.push({ label: ref.label, name: ph.name || "", dataUrl: await blobToDataURL(ph.blob) });
+    }
+    paints.push({ ...rest, photos: out });
+  }
+
+  const palettes = [];
+  for (const p of await getAllPalettes()) {
+    const own = allSlots.filter(s => s.paletteId === p.id && s.index < p.slots);
+    const updatedAt = latest(p.updatedAt, ...own.map(s => s.updatedAt));
+    liveAt.set(p.uid, updatedAt);
+    if (!changed(updatedAt, p.receivedAt)) continue;
+    const { id, receivedAt, ...rest } = p;
+    palettes.push({
+      ...rest,
+      updatedAt,
+      slotPaints: own.map(s => ({ index: s.index, paint: paintUid.get(s.paintId) ?? null })),
+    });
+  }
+
+  const recipes = [];
+  for (const r of await getAllRecipes()) {
+    liveAt.set(r.uid, r.updatedAt || "");
+    if (!changed(r.updatedAt, r.receivedAt)) continue;
+    const { id, receivedAt, paintIds, resultPhotoId, ...rest } = r;
+    // 写真は相手の photos の ID では引けないので data URL で送る
+    const ph = photoById.get(resultPhotoId);
+    recipes.push({
+      ...rest,
+      items: (r.items || []).map(it => ({ paint: paintUid.get(it.paintId) ?? null, ratio: it.ratio })),
+      resultPhotoDataUrl: ph?.blob ? await blobToDataURL(ph.blob) : "",
+    });
+  }
+
+  const tombstones = (await getAllFrom(STORE_TOMBSTONES))
+    .filter(t => changed(t.deletedAt, t.receivedAt))
+    .filter(t => !(liveAt.get(t.uid) >= t.deletedAt))
+    .map(({ uid, kind, deletedAt }) => ({ uid, kind, deletedAt }));
+
+  return {
+    format: SYNC_FORMAT,
+    version: SYNC_VERSION,
+    deviceId: syncState().deviceId,
+    createdAt: nowISO(),
+    since,
+    paints,
+    palettes,
+    recipes,
+    tombstones,
+  };
 }
 
-function renderStats(list) {
-  const owned = list.filter(p => p.status === "owned").length;
-  const empty = list.filter(p => p.status === "empty").length;
-  const wish = list.filter(p => p.status === "wishlist").length;
+// 受け取った差分を1トランザクションで書く。{ paints, palettes, recipes, deleted, skipped, receivedAt } を返す
+async function applyChangeSet(set) {
+  if (set?.format !== SYNC_FORMAT) throw new Error("同期データじゃないみたい");
+  if (Number(set.version) > SYNC_VERSION) throw new Error("新しいアプリで作られた同期データみたい。アプリを更新してね");
+  const list = (key) => (Array.isArray(set[key]) ? set[key].filter(r => isUid(r?.uid)) : []);
+  const stamp = nowISO();
+  const result = { paints: 0, palettes: 0, recipes: 0, deleted: 0, skipped: 0, receivedAt: stamp };
 
-  $("stats").textContent = `全 ${list.length} | 持ってる ${owned} | 空/買い足し ${empty} | 買う予定 ${wish}`;
+  const db = await openDB();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(
+      [STORE, STORE_PALETTES, STORE_SLOTS, STORE_RECIPES, STORE_PHOTOS, STORE_TRASH, STORE_TOMBSTONES],
+      "readwrite"
+    );
+    const paintStore = tx.objectStore(STORE);
+    const paletteStore = tx.objectStore(STORE_PALETTES);
+    const slotStore = tx.objectStore(STORE_SLOTS);
+    const recipeStore = tx.objectStore(STORE_RECIPES);
+    const photoStore = tx.objectStore(STORE_PHOTOS);
+    const tombStore = tx.objectStore(STORE_TOMBSTONES);
+
+    const paintsReq = paintStore.getAll();
+    const palettesReq = paletteStore.getAll();
+    const recipesReq = recipeStore.getAll();
+    const tombsReq = tombStore.getAll();
+    const trashReq = tx.objectStore(STORE_TRASH).getAll();
+    const slotsReq = slotStore.getAll();
+
+    // 同じトランザクションのリクエストは順に終わるので、最後のを待てば全部そろってる
+    slotsReq.onsuccess = () => {
+      const local = new Map(); // uid -> 今のレコード
+      const localAt = new Map(); // uid -> 今のレコードの時刻（パレットはマスも含めて）
+      for (const r of [...paintsReq.result, ...palettesReq.result, ...recipesReq.result]) {
+        local.set(r.uid, r);
+        localAt.set(r.uid, r.updatedAt || "");
+      }
+      for (const s of slotsReq.result) {
+        const pal = palettesReq.result.find(p => p.id === s.paletteId);
+        if (pal && s.index < pal.slots) localAt.set(pal.uid, latest(localAt.get(pal.uid), s.updatedAt));
+      }
+      const tombs = new Map(tombsReq.result.map(t => [t.uid, t]));
+      const paintIdByUid = new Map(paintsReq.result.map(p => [p.uid, p.id]));
+      const paletteNames = new Map(palettesReq.result.map(p => [p.id, p.name || ""]));
+      let pending = 0;
+
+      // 今のレコード（無ければ消した記録）より新しい時だけ書く
+      const isNewer = (r) => {
+        const cur = local.get(r.uid);
+        return (r.updatedAt || "") > (cur ? localAt.get(r.uid) : tombs.get(r.uid)?.deletedAt || "");
+      };
+
+      const accept = (clean, cur) => {
+        if (cur) clean.id = cur.id;
+        else delete clean.id;
+        // こっちで消してゴミ箱にあるものが戻ってきたら、ゴミ箱の方は捨てる（戻すと同じ uid が2つになる）
+        if (!cur) {
+          for (const it of trashReq.result.filter(it => it.record?.uid === clean.uid)) {
+            tx.objectStore(STORE_TRASH).delete(it.id);
+            if (it.kind === "paint") for (const ph of paintPhotos(it.record)) photoStore.delete(ph.photoId);
+          }
+        }
+        clean.receivedAt = stamp;
+        local.set(clean.uid, clean);
+        localAt.set(clean.uid, clean.updatedAt);
+        if (tombs.has(clean.uid)) {
+          tombs.delete(clean.uid);
+          tombStore.delete(clean.uid);
+        }
+        return clean;
+      };
+
+      const write = (store, rec, onId) => {
+        pending++;
+        const req = store.put(rec);
+        req.onsuccess = () => {
+          onId?.(req.result);
+          if (--pending === 0) writeRefs();
+        };
+      };
+
+      // 相手で消したもの: 今のが消した時より新しければ残す。消す時はゴミ箱へ（この端末で消した時と同じ形）
+      const applyTombstones = () => {
+        for (const t of list("tombstones")) {
+          if (!Object.values(SYNC_KINDS).includes(t.kind)) continue;
+          const deletedAt = String(t.deletedAt || "");
+          const cur = local.get(t.uid);
+          if (cur && localAt.get(t.uid) >= deletedAt) {
+            result.skipped++;
+            continue;
+          }
+          if ((tombs.get(t.uid)?.deletedAt || "") < deletedAt) {
+            const tomb = { uid: t.uid, kind: t.kind, deletedAt, receivedAt: stamp };
+            tombs.set(t.uid, tomb);
+            tombStore.put(tomb);
+          }
+          if (!cur) continue;
+          local.delete(t.uid);
+          localAt.delete(t.uid);
+          result.deleted++;
+
+          if (t.kind === "paint") {
+            paintStore.delete(cur.id);
+            paintIdByUid.delete(cur.uid);
+            const refs = [];
+            for (const s of slotsReq.result.filter(s => s.paintId === cur.id)) {
+              slotStore.put({ ...s, paintId: null, updatedAt: deletedAt });
+              refs.push({ paletteId: s.paletteId, paletteName: paletteNames.get(s.paletteId) || "", index: s.index });
+            }
+            tx.objectStore(STORE_TRASH).add({ kind: "paint", deletedAt: stamp, record: cur, refs });
+          } else if (t.kind === "palette") {
+            paletteStore.delete(cur.id);
+            const slots = slotsReq.result.filter(s => s.paletteId === cur.id);
+            slotStore.delete(IDBKeyRange.bound([cur.id, 0], [cur.id, Infinity]));
+            tx.objectStore(STORE_TRASH).add({ kind: "palette", deletedAt: stamp, record: cur, slots });
+          } else {
+            recipeStore.delete(cur.id);
+            if (cur.resultPhotoId != null) photoStore.delete(cur.resultPhotoId);
+          }
+        }
+      };
+
+      // 絵の具の ID がそろってから、それを指すパレットのマス・レシピを書く
+      const writeRefs = () => {
+        applyTombstones();
+
+        for (const p of list("palettes")) {
+          if (!isNewer(p)) {
+            result.skipped++;
+            continue;
+          }
+          const cur = local.get(p.uid);
+          const clean = accept(cleanImportedPalette(p), cur);
+          if (cur) slotStore.delete(IDBKeyRange.bound([cur.id, 0], [cur.id, Infinity]));
+          const slotPaints = Array.isArray(p.slotPaints) ? p.slotPaints : [];
+          result.palettes++;
+          const req = paletteStore.put(clean);
+          req.onsuccess = () => {
+            for (const s of slotPaints) {
+              const index = Number(s?.index);
+              if (!Number.isInteger(index) || index < 0 || index >= clean.slots) continue;
+              const paintId = s.paint == null ? null : (paintIdByUid.get(s.paint) ?? null);
+              slotStore.put({ paletteId: req.result, index, paintId, updatedAt: clean.updatedAt });
+            }
+          };
+        }
+
+        for (const r of list("recipes")) {
+          if (!isNewer(r)) {
+            result.skipped++;
+            continue;
+          }
+          const cur = local.get(r.uid);
+          const items = (Array.isArray(r.items) ? r.items : []).map(it => ({ paintId: it?.paint, ratio: it?.ratio }));
+          const clean = accept(cleanImportedRecipe({ ...r, items }), cur);
+          // この端末に無い絵の具は、レシピ上「削除済み」として残す
+          clean.items = clean.items.map(it => ({ ...it, paintId: paintIdByUid.get(it.paintId) ?? null }));
+          clean.paintIds = recipePaintIds(clean.items);
+          result.recipes++;
+          // 写真は丸ごと差し替え（読めないものは飛ばす）
+          if (cur?.resultPhotoId != null) photoStore.delete(cur.resultPhotoId);
+          let blob = null;
+          try {
+            if (r.resultPhotoDataUrl) blob = dataURLToBlob(r.resultPhotoDataUrl);
+          } catch {
+            // 壊れた data URL
+          }
+          if (!blob) {
+            recipeStore.put(clean);
+            continue;
+          }
+          const req = photoStore.add({ blob, name: "", createdAt: stamp });
+          req.onsuccess = () => recipeStore.put({ ...clean, resultPhotoId: req.result });
+        }
+      };
+
+      for (const p of list("paints")) {
+        if (!isNewer(p)) {
+          result.skipped++;
+          continue;
+        }
+        const cur = local.get(p.uid);
+        const clean = accept(cleanImportedPaint(p), cur);
+        result.paints++;
+        // 写真は丸ごと差し替え（読めないものは飛ばす）
+        for (const ph of paintPhotos(cur)) photoStore.delete(ph.photoId);
+        const photos = [];
+        for (const ph of Array.isArray(p.photos) ? p.photos : []) {
+          try {
+            photos.push({ blob: dataURLToBlob(ph.dataUrl), name: ph.name || "", label: ph.label || "masstone" });
+          } catch {
+            // 壊れた data URL
+          }
+        }
+        const onId = (id) => paintIdByUid.set(clean.uid, id);
+        if (!photos.length) {
+          write(paintStore, clean, onId);
+          continue;
+        }
+        pending++;
+        let left = photos.length;
+        clean.photos = new Array(photos.length);
+        photos.forEach((ph, j) => {
+          const req = photoStore.add({ blob: ph.blob, name: ph.name, createdAt: stamp });
+          req.onsuccess = () => {
+            clean.photos[j] = { photoId: req.result, label: ph.label };
+            if (--left > 0) return;
+            write(paintStore, clean, onId);
+            if (--pending === 0) writeRefs();
+          };
+        });
+      }
+      if (pending === 0) writeRefs();
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  clearHistory(); // 同期前の履歴を書き戻すと、受け取った変更を消してしまうので捨てる
+  await ensureThumbnails();
+  await reload();
+  return result;
 }
 
-function render() {
-  const filtered = applyFilters(paints);
-  renderStats(filtered);
+const syncResultText = (r) =>
+  `絵の具 ${r.paints} / パレット ${r.palettes} / レシピ ${r.recipes} を更新、${r.deleted} 件を削除` +
+  (r.skipped ? `（こっちの方が新しかった ${r.skipped} 件はそのまま）` : "");
 
-  const ul = $("list");
-  ul.innerHTML = "";
+const changeSetCount = (set) =>
+  set.paints.length + set.palettes.length + set.recipes.length + set.tombstones.length;
 
-  $("emptyState").hidden = filtered.length !== 0;
+function setSyncStatus(text) {
+  $("syncStatus").textContent = text;
+}
 
-  for (const p of filtered) {
-    const li = document.createElement("li");
-    li.className = "card";
+// ---- 差分ファイル ----
+async function exportSyncFile(sinceLast) {
+  const startedAt = nowISO();
+  const set = await buildChangeSet(sinceLast ? syncState().lastFileExportAt || "" : "");
+  downloadBlob(new Blob([JSON.stringify(set)], { type: "application/json" }), `paint-manager-sync-${todayStamp()}.json`);
+  saveSyncState({ lastFileExportAt: startedAt });
+  setSyncStatus(`${changeSetCount(set)} 件の変更を書き出したよ`);
+}
 
-    const badgeClass = p.status === "owned"
-      ? "badge--owned"
-      : p.status === "empty"
-      ? "badge--empty"
-      : "badge--wishlist";
+async function importSyncFile(file) {
+  let set;
+  try {
+    set = JSON.parse(await file.text());
+  } catch {
+    setSyncStatus("JSONが壊れてるみたい。ファイルを確認してね。");
+    return;
+  }
+  if (set?.deviceId === syncState().deviceId) {
+    setSyncStatus("この端末で書き出したファイルだよ。もう1台の方で取り込んでね。");
+    return;
+  }
+  try {
+    setSyncStatus(`取り込んだよ: ${syncResultText(await applyChangeSet(set))}`);
+  } catch (err) {
+    console.error(err);
+    setSyncStatus(err.message || "取り込めなかった…");
+  }
+}
 
-    li.innerHTML = `
-      <div class="card__top">
-        <div>
-          <div class="titleRow">
-            
-            <div class="cardTitleRow">
-              ${
-                p.photoDataUrl
-                  ? `<img class="cardThumb" src="${p.photoDataUrl}" alt="swatch" />`
-                  : (p.hex
-                      ? `<span class="swatch" style="background:${escapeHtml(p.hex)}"></span>`
-                      : `<span class="swatch"></span>`
-                    )
-              }
-              <div>
-                <h3 class="card__title">${escapeHtml(p.name || "")}</h3>
-                <div class="card__meta">
-                  <span>${escapeHtml(p.brand || "メーカー未設定")}</span>
-                  ${p.code ? `<span>#${escapeHtml(p.code)}</span>` : ""}
-                  <span>${escapeHtml(typeLabel(p.type))}</span>
-                  ${p.photoName ? `<span>📷 ${escapeHtml(p.photoName)}</span>` : ""}
-                </div>
-              </div>
-            </div>
-            
-          </div>
-            
-          </h3>
-          
-        </div>
-        <span class="badge ${badgeClass}">${escapeHtml(statusLabel(p.status))}</span>
-      </div>
+// ---- 同期サーバー ----
+// 自前の同期サーバー（tools/sync-server.js と同じプロトコル）に送って、cursor より後の変更をもらう
+// 送信がオフラインで失敗した時は sw.js がためておき、つながったら送る（202 { queued: true } が返る）
+const SYNC_API = "/api/v1/changes";
 
-      ${p.notes ? `<div class="card__notes">${escapeHtml(p.notes)}</div>` : ""}
+function syncApi() {
+  const s = syncState();
+  return { url: (s.apiUrl || "").replace(/\/+$/, ""), token: s.apiToken || "", s };
+}
 
-      ${p.tags && p.tags.length
-        ? `<div class="card__tags">${p.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join("")}</div>`
-        : ""
+let serverSyncing = null;
+function serverSync({ quiet = false } = {}) {
+  serverSyncing ||= runServerSync(quiet).finally(() => {
+    serverSyncing = null;
+  });
+  return serverSyncing;
+}
+
+async function runServerSync(quiet) {
+  const { url, token, s } = syncApi();
+  if (!url || !token) {
+    if (!quiet) setSyncStatus("同期サーバーの URL とトークンを入れてね");
+    return;
+  }
+  const headers = { Authorization: `Bearer ${token}` };
+  const startedAt = nowISO();
+  try {
+    // 前回サーバーから受け取ったものは送り返さない（受け取った時刻は送った時刻より後になる）
+    const set = await buildChangeSet(s.apiPushedAt || "", { skipReceivedAt: s.apiPulledAt });
+    let queued = false;
+    if (changeSetCount(set)) {
+      const res = await fetch(url + SYNC_API, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify(set),
+      });
+      if (res.status === 401) throw new Error("トークンが違うみたい");
+      if (!res.ok) throw new Error(`同期サーバーがエラーを返した（${res.status}）`);
+      queued = res.status === 202;
+    }
+    saveSyncState({ apiPushedAt: startedAt });
+    if (queued || !navigator.onLine) {
+      setSyncStatus(`オフラインなので、送る ${changeSetCount(set)} 件はつながったら送るよ`);
+      return;
+    }
+
+    // 途中のページで止めるとパレットが指す絵の具がまだ届いていないことがあるので、全部そろえてから適用
+    let cursor = Number(s.apiCursor) || 0;
+    let pulled = null;
+    for (;;) {
+      const res = await fetch(`${url}${SYNC_API}?cursor=${cursor}`, { headers });
+      if (res.status === 401) throw new Error("トークンが違うみたい");
+      if (!res.ok) throw new Error(`同期サーバーがエラーを返した（${res.status}）`);
+      const page = await res.json();
+      if (!pulled) pulled = { ...page, paints: [], palettes: [], recipes: [], tombstones: [] };
+      for (const key of ["paints", "palettes", "recipes", "tombstones"]) pulled[key].push(...(page[key] || []));
+      if (!(Number(page.cursor) > cursor) || !page.more) {
+        cursor = Math.max(cursor, Number(page.cursor) || 0);
+        break;
       }
+      cursor = Number(page.cursor);
+    }
+    const result = changeSetCount(pulled)
+      ? await applyChangeSet(pulled)
+      : { paints: 0, palettes: 0, recipes: 0, deleted: 0, skipped: 0 };
+    saveSyncState({ apiCursor: cursor, apiSyncedAt: nowISO() });
+    if (changeSetCount(pulled)) saveSyncState({ apiPulledAt: result.receivedAt });
+    if (!quiet || changeSetCount(pulled)) {
+      setSyncStatus(`同期サーバーと同期したよ！ 送った変更 ${changeSetCount(set)} 件 / 受け取り: ${syncResultText(result)}`);
+    }
+  } catch (err) {
+    console.error(err);
+    // fetch がネットワークで失敗すると TypeError
+    setSyncStatus(err instanceof TypeError ? "同期サーバーにつながらなかった" : err.message || "同期できなかった…");
+  }
+}
 
-      <div class="card__actions">
-        <button class="btn btn--ghost" data-act="edit" data-id="${p.id}">編集</button>
-        <button class="btn btn--danger" data-act="del" data-id="${p.id}">削除</button>
-      </div>
-    `;
+// オンラインに戻ったら、sw.js にためていた分を送ってもらう
+function flushSyncOutbox() {
+  navigator.serviceWorker?.controller?.postMessage({ type: "flush-sync-outbox" });
+}
 
-    ul.appendChild(li);
+// ---- WebRTC ----
+// 合図（offer / answer の受け渡し）だけ合図サーバー経由。中身はデータチャネルで直接やりとりする
+// 流れ: hello で端末IDを名乗る → 相手との前回の同期以降の差分を送る → 受け取ったら適用して done
+// 両方の done がそろったら、その時の開始時刻を次回の since にする
+let syncSession = null; // { pc, channel, startedAt, peerId, inbox, applied, peerDone }
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function syncServerUrl() {
+  return ($("syncServer").value.trim() || SYNC_DEFAULT_SERVER).replace(/\/+$/, "");
+}
+
+// 見つからない(404)は null。409 は offer / answer がもう入っている（コードを別の端末が先に使った）
+async function signal(method, path, body) {
+  const res = await fetch(syncServerUrl() + path, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : {},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 404) return null;
+  if (res.status === 409) throw new Error("そのコードはもう別の端末が使ってる（コードを作り直してね）");
+  if (res.status === 503) throw new Error("合図サーバーの部屋がいっぱい（少し待ってからやり直してね）");
+  if (!res.ok) throw new Error(`合図サーバーがエラーを返した（${res.status}）`);
+  return await res.json();
+}
+
+async function pollSignal(path, session) {
+  for (let i = 0; i < 180; i++) {
+    if (syncSession !== session) return null; // やめた
+    const v = await signal("GET", path);
+    if (v) return v;
+    await sleep(1000);
   }
+  throw new Error("相手が来なかった（3分で時間切れ）");
 }
 
-function getActivePalette() {
-  return palettes.find(p => p.id === activePaletteId) || null;
+// ICE 候補が出そろうまで待ってから SDP を渡す（候補を後から送らなくて済むように）
+function waitIceGathering(pc) {
+  if (pc.iceGatheringState === "complete") return Promise.resolve();
+  return new Promise((resolve) => {
+    const check = () => {
+      if (pc.iceGatheringState === "complete") resolve();
+    };
+    pc.addEventListener("icegatheringstatechange", check);
+    setTimeout(resolve, 5000); // 出きらなくても、あるもので進む
+  });
 }
 
-function slotPaintId(index) {
-  const rec = activePaletteSlots.find(s => s.index === index);
-  return rec ? rec.paintId : null;
+function newSyncSession() {
+  closeSyncSession();
+  // 同じネットワーク内だけなので STUN / TURN は使わない
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  syncSession = { pc, channel: null, startedAt: nowISO(), peerId: null, inbox: new Map(), applied: false, peerDone: false };
+  pc.addEventListener("connectionstatechange", () => {
+    if (pc.connectionState === "failed") failSync(new Error("つながらなかった。同じネットワークにいるか確認してね"));
+  });
+  renderSyncButtons();
+  return syncSession;
 }
 
-function paintById(id) {
-  return paints.find(p => p.id === id) || null;
+function closeSyncSession() {
+  const s = syncSession;
+  syncSession = null;
+  if (s) {
+    try {
+      s.channel?.close();
+      s.pc?.close();
+    } catch {
+      // もう閉じてる
+    }
+  }
+  renderSyncButtons();
 }
 
-function renderPalettesUI() {
-  const tabs = $("paletteTabs");
-  const grid = $("paletteGrid");
-  const empty = $("paletteEmpty");
-  const controls = $("paletteControls");
+function failSync(err) {
+  console.error(err);
+  closeSyncSession();
+  setSyncStatus(err.message || "同期できなかった…");
+}
+
+function renderSyncButtons() {
+  const busy = !!syncSession;
+  $("btnSyncHost").disabled = busy;
+  $("btnSyncJoin").disabled = busy;
+  $("btnSyncCancel").hidden = !busy;
+  if (!busy) $("syncCode").textContent = "";
+}
+
+async function sendSyncMessage(channel, msg) {
+  const text = JSON.stringify(msg);
+  if (text.length <= SYNC_CHUNK) return channel.send(text);
+  const id = newUid();
+  const total = Math.ceil(text.length / SYNC_CHUNK);
+  for (let seq = 0; seq < total; seq++) {
+    // 送信バッファが詰まっていたら空くまで待つ
+    while (channel.bufferedAmount > 1024 * 1024) await sleep(50);
+    channel.send(JSON.stringify({ type: "chunk", id, seq, total, data: text.slice(seq * SYNC_CHUNK, (seq + 1) * SYNC_CHUNK) }));
+  }
+}
+
+function attachSyncChannel(session, channel) {
+  session.channel = channel;
+  channel.addEventListener("open", () => {
+    setSyncStatus("つながった！変更をやりとりしてるよ…");
+    sendSyncMessage(channel, { type: "hello", deviceId: syncState().deviceId });
+  });
+  channel.addEventListener("message", (e) => {
+    handleSyncMessage(session, JSON.parse(e.data)).catch(failSync);
+  });
+  channel.addEventListener("close", () => {
+    if (syncSession === session) failSync(new Error("途中で切れちゃった。もう一度つないでね"));
+  });
+}
+
+async function handleSyncMessage(session, msg) {
+  if (syncSession !== session) return;
+
+  if (msg.type === "chunk") {
+    const parts = session.inbox.get(msg.id) || [];
+    parts[msg.seq] = msg.data;
+    session.inbox.set(msg.id, parts);
+    if (parts.filter(p => p != null).length < msg.total) return;
+    session.inbox.delete(msg.id);
+    return await handleSyncMessage(session, JSON.parse(parts.join("")));
+  }
+
+  if (msg.type === "hello") {
+    if (!isUid(msg.deviceId) || msg.deviceId === syncState().deviceId) throw new Error("同じ端末どうしはつなげないよ");
+    session.peerId = msg.deviceId;
+    const since = syncState().peers[msg.deviceId]?.lastSyncAt || "";
+    const set = await buildChangeSet(since);
+    session.sent = changeSetCount(set);
+    await sendSyncMessage(session.channel, { type: "changes", set });
+    return;
+  }
+
+  if (msg.type === "changes") {
+    session.result = await applyChangeSet(msg.set);
+    session.applied = true;
+    await sendSyncMessage(session.channel, { type: "done" });
+  }
+
+  if (msg.type === "done") session.peerDone = true;
+
+  if (session.applied && session.peerDone) {
+    const { peers } = syncState();
+    saveSyncState({ peers: { ...peers, [session.peerId]: { lastSyncAt: session.startedAt } } });
+    setSyncStatus(`同期できたよ！ 送った変更 ${session.sent || 0} 件 / 受け取り: ${syncResultText(session.result)}`);
+    // 相手が done を受け取るまで少し待ってから閉じる
+    setTimeout(() => {
+      if (syncSession === session) closeSyncSession();
+    }, 1000);
+  }
+}
+
+async function hostSync() {
+  const session = newSyncSession();
+  try {
+    const room = await signal("POST", "/rooms");
+    if (!room?.code) throw new Error("合図サーバーから部屋がもらえなかった");
+    attachSyncChannel(session, session.pc.createDataChannel("paint-manager-sync", { ordered: true }));
+    await session.pc.setLocalDescription(await session.pc.createOffer());
+    await waitIceGathering(session.pc);
+    await signal("PUT", `/rooms/${room.code}/offer`, session.pc.localDescription);
+    $("syncCode").textContent = room.code;
+    setSyncStatus(`もう1台でコード ${room.code} を入れて「つなぐ」を押してね`);
+    const answer = await pollSignal(`/rooms/${room.code}/answer`, session);
+    if (answer && syncSession === session) await session.pc.setRemoteDescription(answer);
+  } catch (err) {
+    if (syncSession === session) failSync(err);
+  }
+}
+
+async function joinSync(code) {
+  if (!/^\d{6}$/.test(code)) {
+    setSyncStatus("コードは6桁の数字だよ");
+    return;
+  }
+  const session = newSyncSession();
+  try {
+    const offer = await signal("GET", `/rooms/${code}/offer`);
+    if (!offer) throw new Error("そのコードの部屋が見つからない（時間切れかも）");
+    session.pc.addEventListener("datachannel", (e) => attachSyncChannel(session, e.channel));
+    await session.pc.setRemoteDescription(offer);
+    await session.pc.setLocalDescription(await session.pc.createAnswer());
+    await waitIceGathering(session.pc);
+    await signal("PUT", `/rooms/${code}/answer`, session.pc.localDescription);
+    setSyncStatus("相手を待ってるよ…");
+  } catch (err) {
+    if (syncSession === session) failSync(err);
+  }
+}
+
+// ---------- load ----------
+async function reload() {
+  paints = await getAllPaints();
+  render();
+}
+
+// batch: パレットを消した直後に呼ぶ時、作り直した初期パレットも同じ1手に入れる
+async function reloadPalettes({ batch } = {}) {
+  palettes = await getAllPalettes();
+  // 初回：パレットがないなら初期パレット（13マス）を作る
+  if (palettes.length === 0) {
+    await addPalette({ name: "水彩パレット", slots: 13 }, { batch });
+    palettes = await getAllPalettes();
+  }
+  if (!palettes.some(p => p.id === activePaletteId)) activePaletteId = palettes[0]?.id ?? null;
+
+  // active palette slots
+  if (activePaletteId != null) {
+    activePaletteSlots = await getSlotsForPalette(activePaletteId);
+  } else {
+    activePaletteSlots = [];
+  }
+
+  renderPalettesUI();
+  renderNearestOptions();
+}
+
+async function reload() {
+  paints = await getAllPaints();
+  recipes = await getAllRecipes();
+  await loadThumbUrls();
+  render();           // 既存の一覧
+  renderBrandOptions();
+  renderRecipes();
+  renderShopping();
+  await reloadPalettes(); // ★追加
+  await renderNearest();
+  await renderTrash();
+}
+
+// ---------- event wiring ----------
+document.addEventListener("DOMContentLoaded", async () => {
+  // Service Worker
+  if ("serviceWorker" in navigator) {
+    try {
+      await navigator.serviceWorker.register("./sw.js", { scope: "./" });
+    } catch (e) {
+      // SW失敗しても動作自体は続ける
+      console.warn("SW register failed:", e);
+    }
+  }
+
+  try {
+    await reloadCatalogs();
+  } catch (e) {
+    console.warn("reloadCatalogs failed:", e);
+  }
+
+  try {
+    await purgeTrash(); // 期限切れだけ
+    await pruneTombstones();
+  } catch (e) {
+    console.warn("purgeTrash failed:", e);
+  }
+
+  try {
+    await ensureUids();
+  } catch (e) {
+    console.warn("ensureUids failed:", e);
+  }
+
+  // 旧バージョンから移行した写真のサムネイルを作る（移行した時だけ。いつもは要らなくなったものを消すだけ）
+  try {
+    if (await getMeta("thumbnailsPending")) {
+      await ensureThumbnails();
+      await setMeta("thumbnailsPending", null);
+    } else {
+      await prunePhotoThumbs();
+    }
+  } catch (e) {
+    console.warn("ensureThumbnails failed:", e);
+  }
 
-  tabs.innerHTML = "";
+  await reload();
+  renderHistoryButtons();
+
+  // 復元ポイント: 今日の分がまだなら作る。開きっぱなしでも日付が変わったら作る
+  // 容量がいっぱいの時は、開いている間に一度だけ知らせる
+  let quotaWarned = false;
+  const dailySnapshot = () => ensureDailySnapshot().catch((err) => {
+    console.warn("daily snapshot failed:", err);
+    if (err?.name !== "QuotaExceededError" || quotaWarned) return;
+    quotaWarned = true;
+    alert(snapshotErrorText(err));
+  });
+  dailySnapshot();
+  setInterval(dailySnapshot, SNAPSHOT_CHECK_MS);
 
-  if (!palettes.length) {
-    empty.hidden = false;
-    controls.hidden = true;
-    grid.hidden = true;
+  // 同期サーバーを自動にしていれば、開いた時に一度（待たない）
+  if (syncState().apiAuto && navigator.onLine) serverSync({ quiet: true });
+
+  $("paintForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const data = readForm();
+    if (data.hex === "__INVALID__" || data.tintHex === "__INVALID__") {
+    alert("HEXは #RRGGBB（例: #1A2B3C）の形式で入力してね。");
     return;
-  }
+    }
+    const badPigments = parsePigments($("pigments").value).invalid;
+    if (badPigments.length) {
+      alert(`顔料は PB29 / PR122 / PY150 のような Colour Index の形式で入力してね。\n読めなかった: ${badPigments.join(", ")}`);
+      return;
+    }
+    if (!data.name) return;
 
-  empty.hidden = true;
+    const dups = findDuplicatePaints({ ...data, id: editingId });
+    if (!editingId && dups.length) {
+      const ok = confirm(`「${data.name}」はもう登録されてるよ（${dups.map(p => statusLabel(p.status)).join(" / ")}）。それでも追加する？`);
+      if (!ok) return;
+    }
 
-  for (const p of palettes) {
-    const el = document.createElement("div");
-    el.className = "paletteTab" + (p.id === activePaletteId ? " paletteTab--active" : "");
-    el.textContent = `${p.name || "パレット"} (${p.slots})`;
-    el.addEventListener("click", async () => {
-      activePaletteId = p.id;
-      activePaletteSlots = await getSlotsForPalette(activePaletteId);
-      renderPalettesUI();
-    });
-    tabs.appendChild(el);
-  }
+    // 写真: 新しく追加したものは photos に入れてから参照し、ギャラリーから外したものは消す
+    // 写真の出し入れも含めて「元に戻す」1回で戻るようにまとめる
+    await withHistory(`「${data.name}」を${editingId ? "変更" : "追加"}`, async (batch) => {
+      const prevPhotoIds = editingId ? paintPhotos(paintById(editingId)).map(ph => ph.photoId) : [];
+      data.photos = [];
+      for (const ph of currentPhotos) {
+        data.photos.push({ photoId: ph.id ?? await addPhoto(ph, { batch }), label: ph.label });
+      }
 
-  const ap = getActivePalette();
-  if (!ap) return;
+      if (editingId) {
+        await updatePaint(editingId, data, { batch });
+      } else {
+        await addPaint(data, { batch });
+      }
+      for (const id of prevPhotoIds) {
+        if (!data.photos.some(ph => ph.photoId === id)) await deletePhoto(id, { batch });
+      }
+    });
 
-  controls.hidden = false;
-  grid.hidden = false;
+    await reload();
+    resetForm();
+     $("hex").value = "";
+     setHexPreview("");
+    
+  });
 
-  // Controls values
-  $("paletteName").value = ap.name || "";
-  $("paletteSlots").value = String(ap.slots ?? 13);
+  $("btnCancelEdit").addEventListener("click", () => resetForm());
 
-  // Grid
-  grid.innerHTML = "";
-  for (let i = 0; i < ap.slots; i++) {
-    const pid = slotPaintId(i);
-    const p = pid ? paintById(pid) : null;
+  // Catalog
+  $("catalogQuery").addEventListener("input", renderCatalogSuggest);
+
+  $("catalogQuery").addEventListener("keydown", (e) => {
+    if (e.key === "Escape") closeCatalogSuggest();
+    // 候補が出ている時の Enter はフォーム送信ではなく先頭の候補を選ぶ
+    if (e.key === "Enter" && catalogHits.length) {
+      e.preventDefault();
+      applyCatalogColor(catalogHits[0]);
+      $("catalogQuery").value = "";
+      closeCatalogSuggest();
+    }
+  });
 
-    const slot = document.createElement("div");
-    slot.className = "slot";
+  $("catalogSuggest").addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-index]");
+    if (!btn) return;
+    applyCatalogColor(catalogHits[Number(btn.dataset.index)]);
+    $("catalogQuery").value = "";
+    closeCatalogSuggest();
+  });
 
-    const swatch =
-      p?.photoDataUrl
-        ? `<img class="slotSwatch" src="${p.photoDataUrl}" alt="swatch" />`
-        : (p?.hex && p.hex !== "__INVALID__"
-            ? `<div class="slotSwatch" style="background:${escapeHtml(p.hex)}"></div>`
-            : `<div class="slotSwatch"></div>`
-          );
+  $("fileImportCatalog").addEventListener("change", async (e) => {
+    const files = [...(e.target.files || [])];
+    e.target.value = "";
+    const done = [];
+    const failed = [];
+    for (const file of files) {
+      try {
+        const c = await importCatalogFile(file);
+        done.push(`${c.brand}${c.line ? ` / ${c.line}` : ""}（${c.colors.length}色）`);
+      } catch (err) {
+        failed.push(`${file.name}: ${err.message}`);
+      }
+    }
+    await reloadCatalogs();
+    alert([
+      done.length ? `読み込んだよ:\n${done.join("\n")}` : "",
+      failed.length ? `読めなかった:\n${failed.join("\n")}` : "",
+    ].filter(Boolean).join("\n\n"));
+  });
 
-    slot.innerHTML = `
-      <div class="slotIndex">${i + 1}</div>
-      ${swatch}
-      <div class="slotName">${p ? escapeHtml(p.name || "") : "＋ 追加"}</div>
-      <div class="slotMeta">${p ? escapeHtml(p.brand || "") : ""}</div>
-    `;
+  $("catalogList").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-id]");
+    if (!btn) return;
+    const c = catalogs.find(x => x.source === "custom" && x.id === Number(btn.dataset.id));
+    if (!c || !confirm(`カタログ「${c.brand}${c.line ? ` / ${c.line}` : ""}」を外す？`)) return;
+    await deleteCatalog(c.id);
+    await reloadCatalogs();
+  });
 
-    slot.addEventListener("click", () => openPicker(i));
-    grid.appendChild(slot);
+  // Duplicates
+  for (const id of ["brand", "code", "name"]) {
+    $(id).addEventListener("input", renderDupWarning);
   }
-}
-
-function openPicker(index) {
-  pickingSlotIndex = index;
-  $("pickerQuery").value = "";
-  $("pickerBackdrop").hidden = false;
-  renderPickerList();
-}
 
-function closePicker() {
-  $("pickerBackdrop").hidden = true;
-  pickingSlotIndex = null;
-}
+  $("dupWarning").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-id]");
+    if (!btn) return;
+    const p = paints.find(x => x.id === Number(btn.dataset.id));
+    if (p) await fillForm(p);
+  });
 
-function renderPickerList() {
-  const q = $("pickerQuery").value.trim().toLowerCase();
-  const list = $("pickerList");
-  list.innerHTML = "";
+  $("dupList").addEventListener("change", (e) => {
+    const sel = e.target.closest("select[data-index]");
+    if (!sel || !dupReview) return;
+    dupReview.choices[Number(sel.dataset.index)] = sel.value;
+  });
 
-  const filtered = paints.filter(p => matchesQuery(p, q)); // 既存の matchesQuery を流用
+  $("btnDupNewest").addEventListener("click", () => {
+    if (!dupReview) return;
+    dupReview.choices = dupReview.conflicts.map(newestChoice);
+    renderDupReview();
+  });
 
-  for (const p of filtered) {
-    const item = document.createElement("div");
-    item.className = "pickerItem";
+  $("btnDupKeepAll").addEventListener("click", () => {
+    if (!dupReview) return;
+    dupReview.choices = dupReview.conflicts.map(() => "keep");
+    renderDupReview();
+  });
 
-    const thumb = p.photoDataUrl
-      ? `<img class="pickerSwatch" src="${p.photoDataUrl}" alt="swatch" />`
-      : (p.hex ? `<div class="pickerSwatch" style="background:${escapeHtml(p.hex)}"></div>` : `<div class="pickerSwatch"></div>`);
+  $("btnDupApply").addEventListener("click", () => closeDupReview(dupReview?.choices || null));
+  $("btnDupCancel").addEventListener("click", () => closeDupReview(null));
 
-    item.innerHTML = `
-      ${thumb}
-      <div>
-        <div class="pickerTitle">${escapeHtml(p.name || "")}</div>
-        <div class="pickerMeta">${escapeHtml(p.brand || "メーカー未設定")} / ${escapeHtml(typeLabel(p.type))}</div>
-      </div>
-    `;
+  $("passphraseForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    submitPassphrase();
+  });
+  $("btnPassphraseCancel").addEventListener("click", () => closePassphrase(null));
 
-    item.addEventListener("click", async () => {
-      const ap = getActivePalette();
-      if (!ap || pickingSlotIndex == null) return;
-      await setSlotPaint(ap.id, pickingSlotIndex, p.id);
-      activePaletteSlots = await getSlotsForPalette(ap.id);
-      renderPalettesUI();
-      closePicker();
-    });
+  $("btnImportApply").addEventListener("click", () => closeImportReview(true));
+  $("btnImportCancel").addEventListener("click", () => closeImportReview(false));
 
-    list.appendChild(item);
+  $("q").addEventListener("input", render);
+  $("filterStatus").addEventListener("change", render);
+  $("filterPigment").addEventListener("change", render);
+  for (const id of ["filterTransparency", "filterStaining", "filterGranulating", "filterLightfast"]) {
+    $(id).addEventListener("change", render);
   }
-}
+  $("sortBy").addEventListener("change", render);
 
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
-}
+  // Shopping list
+  $("shoppingList").addEventListener("change", async (e) => {
+    const row = e.target.closest(".shopItem");
+    if (!row) return;
+    const p = paints.find(x => x.id === Number(row.dataset.id));
+    if (!p) return;
 
-// ---------- form ----------
-function resetForm() {
-  editingId = null;
-  $("paintId").value = "";
-  $("brand").value = "";
-  $("line").value = "";
-  $("name").value = "";
-  $("code").value = "";
-  $("type").value = "watercolor";
-  $("status").value = "owned";
-  $("tags").value = "";
-  $("notes").value = "";
+    if (e.target.dataset.act === "bought") {
+      await markBought(p);
+      await reload();
+      return;
+    }
 
-  $("btnCancelEdit").hidden = true;
-  $("btnSave").textContent = "保存";
-  $("hex").value = "";
-  setHexPreview("");
-  currentPhotoDataUrl = "";
-  setPhotoPreview("");
-  
-  currentPhotoName = "";
-  setPhotoName("");
-}
+    const field = e.target.dataset.field;
+    if (field === "price") {
+      const price = toPrice(e.target.value);
+      if (e.target.value.trim() && price == null) {
+        alert("値段は数字で入れてね");
+        e.target.value = p.price ?? "";
+        return;
+      }
+      await updatePaint(p.id, { price });
+      await reload();
+    }
+    if (field === "shop") {
+      await updatePaint(p.id, { shop: e.target.value.trim() });
+      await reload();
+    }
+  });
 
-function fillForm(p) {
-  editingId = p.id;
-  $("paintId").value = p.id;
-  $("brand").value = p.brand || "";
-  $("line").value = p.line || "";
-  $("name").value = p.name || "";
-  $("code").value = p.code || "";
-  $("type").value = p.type || "watercolor";
-  $("status").value = p.status || "owned";
-  $("tags").value = (p.tags || []).join(", ");
-  $("notes").value = p.notes || "";
+  $("btnShoppingText").addEventListener("click", () => {
+    downloadBlob(new Blob([shoppingText()], { type: "text/plain" }), `shopping-list-${todayStamp()}.txt`);
+  });
 
-  $("btnCancelEdit").hidden = false;
-  $("btnSave").textContent = "更新";
-  window.scrollTo({ top: 0, behavior: "smooth" });
-  $("hex").value = p.hex || "";
-  setHexPreview(p.hex || "");
-  currentPhotoDataUrl = p.photoDataUrl || "";
-  setPhotoPreview(currentPhotoDataUrl);
-  
-  currentPhotoName = p.photoName || "";
-  setPhotoName(currentPhotoName);
-}
+  $("btnShoppingCSV").addEventListener("click", () => {
+    // Excel で文字化けしないように BOM を付ける
+    downloadBlob(new Blob(["\uFEFF" + shoppingCSV()], { type: "text/csv" }), `shopping-list-${todayStamp()}.csv`);
+  });
 
-function readForm() {
-  return {
-    brand: $("brand").value.trim(),
-    line: $("line").value.trim(),
-    name: $("name").value.trim(),
-    code: $("code").value.trim(),
-    type: $("type").value,
-    status: $("status").value,
-    tags: normalizeTags($("tags").value),
-    notes: $("notes").value.trim(),
-    hex: normalizeHex($("hex").value),
-    photoDataUrl: currentPhotoDataUrl || "",
-    photoName: currentPhotoName || "",
-  };
-}
+  $("btnShoppingCopy").addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(shoppingText());
+      alert("コピーしたよ");
+    } catch {
+      alert("コピーできなかった…「テキストで保存」を使ってね");
+    }
+  });
 
-// ---------- backup ----------
-async function exportJSON() {
-  const data = {
-    version: 1,
-    exportedAt: nowISO(),
-    paints: await getAllPaints(),
-  };
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  const stamp = new Date().toISOString().slice(0,10);
-  a.href = url;
-  a.download = `paint-manager-backup-${stamp}.json`;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
-}
+  $("lowStock").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-id]");
+    if (!btn) return;
+    const p = paints.find(x => x.id === Number(btn.dataset.id));
+    if (p) await fillForm(p);
+  });
 
-async function importJSON(file, mode) {
-  // mode: "merge" | "replace"
-  const text = await file.text();
-  let parsed;
-  try {
-    parsed = JSON.parse(text);
-  } catch {
-    alert("JSONが壊れてるみたい。ファイルを確認してね。");
-    return;
-  }
+  $("size").addEventListener("change", () => {
+    $("sizeMl").disabled = $("size").value !== "ml";
+  });
 
-  const incoming = Array.isArray(parsed?.paints) ? parsed.paints : null;
-  if (!incoming) {
-    alert("このバックアップ形式は読めなかった。");
-    return;
-  }
+  $("list").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-act]");
+    if (!btn) return;
 
-  if (mode === "replace") {
-    const ok = confirm("今のデータを全部消して、バックアップで置き換えるよ。OK？");
-    if (!ok) return;
-    await clearAll();
-  }
+    const act = btn.dataset.act;
+    const id = Number(btn.dataset.id);
+    const p = paints.find(x => x.id === id);
 
-  // merge behavior:
-  // - if record has id, try put (update/insert)
-  // - if no id, add
-  const db = await openDB();
-  await new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readwrite");
-    const store = tx.objectStore(STORE);
+    if (act === "edit" && p) {
+      await fillForm(p);
+    }
 
-    for (const p of incoming) {
-      const clean = {
-        id: p.id, // may be undefined
-        brand: p.brand || "",
-        line: p.line || "",
-        name: p.name || "",
-        code: p.code || "",
-        type: p.type || "watercolor",
-        status: p.status || "owned",
-        tags: Array.isArray(p.tags) ? p.tags : [],
-        notes: p.notes || "",
-        createdAt: p.createdAt || nowISO(),
-        updatedAt: p.updatedAt || nowISO(),
-        hex: (normalizeHex(p.hex) === "__INVALID__") ? "" : (normalizeHex(p.hex) || ""),
-        photoDataUrl: typeof p.photoDataUrl === "string" ? p.photoDataUrl : "",
-        photoName: typeof p.photoName === "string" ? p.photoName : "",
-      };
+    if (act === "samePigment" && p) {
+      openSamePigment(p);
+    }
 
-      if (typeof clean.id === "number") {
-        store.put(clean);
-      } else {
-        delete clean.id;
-        store.add(clean);
-      }
+    if (act === "useUnit" && p && p.units > 0) {
+      // 次の1本を開けたら残量は満タンから
+      const units = p.units - 1;
+      await updatePaint(id, { units, remaining: units > 0 ? 100 : 0 });
+      await reload();
     }
 
-    tx.oncomplete = () => resolve();
-    tx.onerror = () => reject(tx.error);
-    tx.onabort = () => reject(tx.error);
+    if (act === "addUnit" && p) {
+      const units = (p.units || 0) + 1;
+      await updatePaint(id, { units, remaining: p.units > 0 && p.remaining != null ? p.remaining : 100 });
+      await reload();
+    }
+
+    if (act === "recipe") {
+      const r = recipes.find(x => x.id === id);
+      if (!r) return;
+      setView("recipes");
+      fillRecipeForm(r);
+    }
+
+    if (act === "del") {
+      // レシピから参照されていたら、消す前に知らせる
+      const using = await getRecipesForPaint(id);
+      const warn = using.length
+        ? `\n\nこの絵の具を使っている混色レシピがあるよ（レシピ側は「削除済み」表示になる）:\n${using.map(r => `・${r.name || "レシピ"}`).join("\n")}`
+        : "";
+      const ok = confirm(`「${p?.name || "この絵の具"}」を削除する？（ゴミ箱に${TRASH_DAYS}日残るよ）${warn}`);
+      if (!ok) return;
+      await deletePaint(id);
+      await reload();
+      if (editingId === id) resetForm();
+      showUndoToast(`「${p?.name || "絵の具"}」をゴミ箱に移したよ`);
+    }
   });
 
-  await reload();
-  alert("復元できたよ！");
-}
+  // Nearest colour search
+  $("nearHex").addEventListener("input", renderNearest);
+  $("nearQuery").addEventListener("input", renderNearest);
+  $("nearPalette").addEventListener("change", renderNearest);
+  $("nearType").addEventListener("change", renderNearest);
 
-// ---------- load ----------
-async function reload() {
-  paints = await getAllPaints();
-  render();
-}
+  $("nearPhotoInput").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      $("nearHex").value = await sampleCenterHex(file);
+      await renderNearest();
+    } catch (err) {
+      console.warn(err);
+      alert("画像の読み込みに失敗したかも。別の写真で試してね。");
+    }
+  });
 
-async function reloadPalettes() {
-  palettes = await getAllPalettes();
-  // 初回：パレットがないなら初期パレット（13マス）を作る
-  if (palettes.length === 0) {
-    await addPalette({ name: "水彩パレット", slots: 13 });
-    palettes = await getAllPalettes();
-  }
-  if (!activePaletteId) activePaletteId = palettes[0]?.id ?? null;
+  $("btnExport").addEventListener("click", () => exportJSON());
+  $("btnExportEncrypted").addEventListener("click", () => exportJSON(true));
 
-  // active palette slots
-  if (activePaletteId != null) {
-    activePaletteSlots = await getSlotsForPalette(activePaletteId);
-  } else {
-    activePaletteSlots = [];
+  // Undo / redo
+  async function stepHistory(fn) {
+    hideToast();
+    const entry = await fn();
+    if (!entry) return;
+    await reload();
+    if (editingId != null && !paintById(editingId)) resetForm();
   }
 
-  renderPalettesUI();
-}
+  // Snapshots
+  $("btnSnapshots").addEventListener("click", async () => {
+    await renderSnapshots();
+    $("snapshotBackdrop").hidden = false;
+  });
+  $("btnCloseSnapshots").addEventListener("click", () => ($("snapshotBackdrop").hidden = true));
+  $("snapshotBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("snapshotBackdrop")) $("snapshotBackdrop").hidden = true;
+  });
 
-async function reload() {
-  paints = await getAllPaints();
-  render();           // 既存の一覧
-  await reloadPalettes(); // ★追加
-}
+  $("btnSnapshotNow").addEventListener("click", async () => {
+    // 許可を聞けるのはボタンを押した直後だけなので、先に聞いておく（書き出しは takeSnapshot の中で）
+    if (canPickFolder()) await snapshotFolder({ ask: true }).catch(() => null);
+    try {
+      await takeSnapshot("manual");
+    } catch (err) {
+      alert(snapshotErrorText(err));
+    }
+    await renderSnapshots();
+  });
 
-// ---------- event wiring ----------
-document.addEventListener("DOMContentLoaded", async () => {
-  // Service Worker
-  if ("serviceWorker" in navigator) {
+  $("btnSnapshotFolder").addEventListener("click", async () => {
+    let dir;
     try {
-      await navigator.serviceWorker.register("./sw.js", { scope: "./" });
-    } catch (e) {
-      // SW失敗しても動作自体は続ける
-      console.warn("SW register failed:", e);
+      dir = await window.showDirectoryPicker({ id: "paint-manager-snapshots", mode: "readwrite" });
+    } catch {
+      return; // キャンセル
     }
-  }
+    await setMeta("snapshotFolder", dir);
+    // 選んだ時に、いちばん新しい復元ポイントを書いておく
+    const latestSnap = (await getSnapshotList())[0];
+    if (latestSnap) await writeSnapshotToFolder(await withSnapshotPhotos(await getSnapshot(latestSnap.id)), dir);
+    await renderSnapshots();
+  });
 
-  await reload();
+  $("btnSnapshotFolderOff").addEventListener("click", async () => {
+    await setMeta("snapshotFolder", null);
+    await renderSnapshots();
+  });
 
-  $("paintForm").addEventListener("submit", async (e) => {
-    e.preventDefault();
-    const data = readForm();
-    if (data.hex === "__INVALID__") {
-    alert("HEXは #RRGGBB（例: #1A2B3C）の形式で入力してね。");
-    return;
+  $("snapshotList").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-act]");
+    if (!btn) return;
+    const id = Number(btn.dataset.id);
+
+    if (btn.dataset.act === "preview") {
+      const box = btn.closest(".snapshotItem").querySelector(".snapshotPreview");
+      if (box.hidden && !box.innerHTML) box.innerHTML = await snapshotPreviewHtml(id);
+      box.hidden = !box.hidden;
+      btn.textContent = box.hidden ? "中身を見る" : "閉じる";
     }
-    if (!data.name) return;
 
-    if (editingId) {
-      await updatePaint(editingId, data);
-    } else {
-      await addPaint(data);
+    if (btn.dataset.act === "restore") {
+      if (!confirm("今のデータを全部消して、この時点に戻すよ。OK？（今のデータも復元ポイントに取っておく）")) return;
+      try {
+        if (!(await restoreSnapshot(id))) return;
+      } catch (err) {
+        console.error(err);
+        alert(`戻せなかった。今のデータは何も変わってないよ。（${err?.message || err}）`);
+        return;
+      }
+      await reloadCatalogs();
+      await reload();
+      await renderSnapshots();
+      alert("戻したよ！");
     }
 
-    await reload();
-    resetForm();
-     $("hex").value = "";
-     setHexPreview("");
-    
+    if (btn.dataset.act === "delete") {
+      if (!confirm("この復元ポイントを消す？")) return;
+      await deleteSnapshot(id);
+      await renderSnapshots();
+    }
   });
 
-  $("btnCancelEdit").addEventListener("click", () => resetForm());
+  // Sync
+  $("btnSync").addEventListener("click", () => {
+    const s = syncState();
+    $("syncServer").value = s.server || "";
+    $("syncApiUrl").value = s.apiUrl || "";
+    $("syncApiToken").value = s.apiToken || "";
+    $("syncApiAuto").checked = !!s.apiAuto;
+    renderSyncButtons();
+    $("syncBackdrop").hidden = false;
+  });
+  $("btnCloseSync").addEventListener("click", () => ($("syncBackdrop").hidden = true));
+  $("syncBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("syncBackdrop")) $("syncBackdrop").hidden = true;
+  });
+  $("syncServer").addEventListener("change", () => saveSyncState({ server: $("syncServer").value.trim() }));
+  $("syncApiUrl").addEventListener("change", () => {
+    // 別のサーバーに変えたら最初からもらい直す
+    saveSyncState({ apiUrl: $("syncApiUrl").value.trim(), apiCursor: 0, apiPushedAt: "" });
+  });
+  $("syncApiToken").addEventListener("change", () => {
+    saveSyncState({ apiToken: $("syncApiToken").value.trim(), apiCursor: 0, apiPushedAt: "" });
+  });
+  $("syncApiAuto").addEventListener("change", () => saveSyncState({ apiAuto: $("syncApiAuto").checked }));
+  $("btnServerSync").addEventListener("click", () => serverSync());
 
-  $("q").addEventListener("input", render);
-  $("filterStatus").addEventListener("change", render);
-  $("sortBy").addEventListener("change", render);
+  window.addEventListener("online", () => {
+    flushSyncOutbox();
+    if (syncState().apiAuto) serverSync({ quiet: true });
+  });
+  navigator.serviceWorker?.addEventListener("message", (e) => {
+    if (e.data?.type === "sync-outbox-sent") {
+      setSyncStatus(`オフラインの間にためていた変更を送ったよ（${e.data.count} 回分）`);
+    }
+    // 受け付けてもらえず捨てた分は、送ったことにしない（次の同期でその since から送り直す）
+    if (e.data?.type === "sync-outbox-dropped") {
+      const since = String(e.data.since || "");
+      if ((syncState().apiPushedAt || "") > since) saveSyncState({ apiPushedAt: since });
+      setSyncStatus(e.data.status
+        ? `オフラインの間にためていた変更を同期サーバーが受け付けなかった（${e.data.status}）。次の同期で送り直すよ`
+        : "オフラインの間にためていた変更が何度送っても届かなかった。次の同期で送り直すよ");
+    }
+  });
 
-  $("list").addEventListener("click", async (e) => {
+  $("btnSyncExport").addEventListener("click", () => exportSyncFile($("syncSinceLast").checked));
+  $("fileSyncImport").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    await importSyncFile(file);
+  });
+  $("btnSyncHost").addEventListener("click", () => {
+    if (!window.RTCPeerConnection) return setSyncStatus("このブラウザは WebRTC が使えないみたい。ファイルで渡してね");
+    hostSync();
+  });
+  $("btnSyncJoin").addEventListener("click", () => {
+    if (!window.RTCPeerConnection) return setSyncStatus("このブラウザは WebRTC が使えないみたい。ファイルで渡してね");
+    joinSync($("syncJoinCode").value.trim());
+  });
+  $("btnSyncCancel").addEventListener("click", () => {
+    closeSyncSession();
+    setSyncStatus("やめたよ");
+  });
+
+  // Trash
+  $("btnTrash").addEventListener("click", async () => {
+    await renderTrash();
+    $("trashBackdrop").hidden = false;
+  });
+  $("btnCloseTrash").addEventListener("click", () => ($("trashBackdrop").hidden = true));
+  $("trashBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("trashBackdrop")) $("trashBackdrop").hidden = true;
+  });
+
+  $("trashList").addEventListener("click", async (e) => {
     const btn = e.target.closest("button[data-act]");
     if (!btn) return;
-
-    const act = btn.dataset.act;
     const id = Number(btn.dataset.id);
-    const p = paints.find(x => x.id === id);
 
-    if (act === "edit" && p) {
-      fillForm(p);
+    if (btn.dataset.act === "restore") {
+      try {
+        const { item, skipped, renamed } = await restoreFromTrash(id);
+        if (!item) return;
+        if (item.kind === "palette") activePaletteId = item.record.id;
+        await reload();
+        if (renamed) alert(`同じ${item.kind === "paint" ? "絵の具" : "パレット"}が同期や取り込みでもう戻ってきていたので、別のものとして戻したよ。いらない方は消してね。`);
+        if (skipped) alert(`戻したよ。ただ ${skipped} マスは${item.kind === "paint" ? "もう別の絵の具が入っていた（またはマスが無い）" : "絵の具が完全に削除されていた"}ので空のまま。`);
+      } catch (err) {
+        console.error(err);
+        alert(`ゴミ箱から戻せなかった。（${err?.message || err}）`);
+      }
     }
 
-    if (act === "del") {
-      const ok = confirm(`「${p?.name || "この絵の具"}」を削除する？`);
-      if (!ok) return;
-      await deletePaint(id);
+    if (btn.dataset.act === "purge") {
+      if (!confirm("完全に削除する？（元に戻せないよ）")) return;
+      await purgeTrash([id]);
       await reload();
-      if (editingId === id) resetForm();
     }
   });
 
-  $("btnExport").addEventListener("click", exportJSON);
+  $("btnEmptyTrash").addEventListener("click", async () => {
+    const items = await getAllTrash();
+    if (!items.length || !confirm(`ゴミ箱の ${items.length} 件を完全に削除する？（元に戻せないよ）`)) return;
+    await purgeTrash(items.map(it => it.id));
+    await reload();
+  });
+
+  $("btnUndo").addEventListener("click", () => stepHistory(undo));
+  $("btnRedo").addEventListener("click", () => stepHistory(redo));
+  $("btnToastUndo").addEventListener("click", () => stepHistory(undo));
+  $("btnToastClose").addEventListener("click", hideToast);
+
+  // 入力中の Ctrl+Z は入力欄のものなので横取りしない
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target instanceof Element && e.target.closest("input, textarea, select, [contenteditable]")) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      stepHistory(undo);
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      stepHistory(redo);
+    }
+  });
+
+  // CSV
+  $("btnExportCSV").addEventListener("click", () => exportCSV($("csvFilteredOnly").checked));
+
+  $("fileImportCSV").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    openCsvImport(file.name, await file.text());
+  });
+
+  $("csvMapping").addEventListener("change", (e) => {
+    const sel = e.target.closest("select[data-field]");
+    if (!sel || !csvImport) return;
+    csvImport.mapping[sel.dataset.field] = Number(sel.value);
+    renderCsvPreview();
+  });
+
+  $("csvHasHeader").addEventListener("change", () => {
+    if (!csvImport) return;
+    csvImport.hasHeader = $("csvHasHeader").checked;
+    renderCsvMapping();
+    renderCsvPreview();
+  });
+
+  $("btnCsvImport").addEventListener("click", commitCsvImport);
+  $("btnCloseCsv").addEventListener("click", closeCsvImport);
+  $("csvBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("csvBackdrop")) closeCsvImport();
+  });
 
   $("fileImportMerge").addEventListener("change", async (e) => {
     const file = e.target.files?.[0];
@@ -833,21 +6106,26 @@ document.addEventListener("DOMContentLoaded", async () => {
     setHexPreview(h);
   });
 
+  $("tintHex").addEventListener("input", () => {
+    setHexPreview(normalizeHex($("tintHex").value), "tintHexPreview");
+  });
+
   // --- Photo pickers (camera / library) ---
   async function handlePickedPhoto(file) {
     if (!file) return;
 
-    const dataUrl = await fileToResizedDataURL(file, { maxSize: 900, quality: 0.82 });
-    currentPhotoDataUrl = dataUrl;
-    currentPhotoName = file.name || "";
+    const { blob, thumb } = await fileToPhotoBlobs(file);
+    const label = nextPhotoLabel(currentPhotos.map(ph => ph.label));
+    addCurrentPhoto({ blob, thumb, name: file.name || "", label });
 
-    setPhotoPreview(currentPhotoDataUrl);
-    setPhotoName(currentPhotoName);
+    // 写真から色を推定して、空欄のHEXだけ埋める（入力済みの値は上書きしない）
+    const est = await analyzeSwatchPhoto(currentPhotos[currentPhotos.length - 1].url);
+    if (!normalizeHex($("hex").value) && est.masstone) applySampledHex("masstone", est.masstone);
+    if (!normalizeHex($("tintHex").value) && est.tint) applySampledHex("tint", est.tint);
   }
 
   const cam = $("photoInputCamera");
   const lib = $("photoInputLibrary");
-  const btnRemove = $("btnRemovePhoto");
 
   if (cam) {
     cam.addEventListener("change", async (e) => {
@@ -862,28 +6140,195 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   if (lib) {
     lib.addEventListener("change", async (e) => {
-      const file = e.target.files?.[0];
+      const files = [...(e.target.files || [])];
       e.target.value = "";
-      try { await handlePickedPhoto(file); } catch (err) {
+      try {
+        for (const file of files) await handlePickedPhoto(file);
+      } catch (err) {
         console.warn(err);
         alert("画像の読み込みに失敗したかも。別の写真で試してね。");
       }
     });
   }
 
-  if (btnRemove) {
-    btnRemove.addEventListener("click", () => {
+  // ギャラリー: 並べ替え / ラベル / 削除 / 色を取る
+  $("photoGallery").addEventListener("click", async (e) => {
+    const el = e.target.closest("[data-act]");
+    if (!el) return;
+    const index = Number(el.dataset.index);
+    const act = el.dataset.act;
+
+    if (act === "left") moveCurrentPhoto(index, -1);
+    if (act === "right") moveCurrentPhoto(index, 1);
+    if (act === "sample") {
+      try {
+        await openSampler(index);
+      } catch (err) {
+        console.error(err);
+        alert("写真を読み込めなかった…別の写真で試してね");
+      }
+    }
+    if (act === "remove") {
       const ok = confirm("塗り見本の写真を削除する？");
       if (!ok) return;
-      currentPhotoDataUrl = "";
-      currentPhotoName = "";
-      setPhotoPreview("");
-      setPhotoName("");
-      if (cam) cam.value = "";
-      if (lib) lib.value = "";
-    });
-  }
+      removeCurrentPhoto(index);
+    }
+  });
+
+  $("photoGallery").addEventListener("change", (e) => {
+    if (!e.target.classList.contains("galleryLabel")) return;
+    const ph = currentPhotos[Number(e.target.dataset.index)];
+    if (ph) ph.label = e.target.value;
+    renderPhotoGallery();
+  });
+
+  // 写真から色を取る（範囲ドラッグ / スポイト）
+  $("btnCloseSampler").addEventListener("click", closeSampler);
+
+  const samplerCanvas = $("samplerCanvas");
+  samplerCanvas.addEventListener("pointerdown", (e) => {
+    if (!sampler) return;
+    e.preventDefault();
+    samplerCanvas.setPointerCapture?.(e.pointerId);
+    const pt = samplerPoint(e);
+    sampler.drag = pt;
+    sampler.rect = { x: pt.x, y: pt.y, w: 0, h: 0 };
+    drawSampler();
+  });
+  samplerCanvas.addEventListener("pointermove", (e) => {
+    if (!sampler?.drag) return;
+    const pt = samplerPoint(e);
+    sampler.rect = { x: sampler.drag.x, y: sampler.drag.y, w: pt.x - sampler.drag.x, h: pt.y - sampler.drag.y };
+    drawSampler();
+  });
+  const endSamplerDrag = () => {
+    if (!sampler?.drag) return;
+    sampler.drag = null;
+    finishSamplerRect();
+  };
+  samplerCanvas.addEventListener("pointerup", endSamplerDrag);
+  samplerCanvas.addEventListener("pointercancel", endSamplerDrag);
+
+  $("btnSamplerMasstone").addEventListener("click", () => {
+    if (sampler?.hex) applySampledHex("masstone", sampler.hex);
+  });
+  $("btnSamplerTint").addEventListener("click", () => {
+    if (sampler?.hex) applySampledHex("tint", sampler.hex);
+  });
+  $("btnSamplerAuto").addEventListener("click", () => {
+    if (!sampler) return;
+    const est = estimateMasstoneTint(sampler.imageData);
+    if (est.masstone) applySampledHex("masstone", est.masstone);
+    if (est.tint) applySampledHex("tint", est.tint);
+    closeSampler();
+  });
+
   
+  // Recipe events
+  resetRecipeForm();
+
+  $("btnAddRecipeItem").addEventListener("click", () => addRecipeItemRow());
+
+  $("recipeItems").addEventListener("change", (e) => {
+    const row = e.target.closest(".recipeItem");
+    if (row && e.target.classList.contains("recipeItemPaint")) updateRecipeItemSwatch(row);
+    updateRecipeMixPreview();
+  });
+
+  // スライダーと数値入力を同期
+  $("recipeItems").addEventListener("input", (e) => {
+    const row = e.target.closest(".recipeItem");
+    if (!row) return;
+    if (e.target.classList.contains("recipeItemSlider")) {
+      row.querySelector(".recipeItemRatio").value = e.target.value;
+    } else if (e.target.classList.contains("recipeItemRatio")) {
+      const slider = row.querySelector(".recipeItemSlider");
+      slider.max = String(Math.max(RECIPE_SLIDER_MAX, Number(e.target.value) || 0));
+      slider.value = e.target.value;
+    }
+    updateRecipeMixPreview();
+  });
+
+  $("recipeItems").addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-act=removeItem]");
+    if (!btn) return;
+    btn.closest(".recipeItem").remove();
+    updateRecipeMixPreview();
+  });
+
+  $("btnUseMixHex").addEventListener("click", () => {
+    const hex = $("recipeMixHex").textContent;
+    if (normalizeHex(hex) === "__INVALID__") return;
+    $("recipeHex").value = hex;
+    setHexPreview(hex, "recipeHexPreview");
+  });
+
+  $("recipeHex").addEventListener("input", () => {
+    setHexPreview(normalizeHex($("recipeHex").value), "recipeHexPreview");
+  });
+
+  $("recipePhotoInput").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      recipePhotoEdit = await fileToPhotoBlobs(file);
+      setRecipePhotoPreview(recipePhotoEdit.blob);
+    } catch (err) {
+      console.warn(err);
+      alert("画像の読み込みに失敗したかも。別の写真で試してね。");
+    }
+  });
+
+  $("btnRemoveRecipePhoto").addEventListener("click", () => {
+    recipePhotoEdit = null;
+    setRecipePhotoPreview(null);
+  });
+
+  $("recipeForm").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const data = readRecipeForm();
+    if (data.resultHex === "__INVALID__") {
+      alert("HEXは #RRGGBB（例: #1A2B3C）の形式で入力してね。");
+      return;
+    }
+    if (recipePaintIds(data.items).length < 2) {
+      alert("混色レシピには絵の具を2色以上（割合つき）で選んでね。");
+      return;
+    }
+    if (!data.name) return;
+
+    if (editingRecipeId) {
+      await updateRecipe(editingRecipeId, data, { photo: recipePhotoEdit });
+    } else {
+      await addRecipe(data, { photo: recipePhotoEdit });
+    }
+
+    await reload();
+    resetRecipeForm();
+  });
+
+  $("btnCancelRecipe").addEventListener("click", () => resetRecipeForm());
+
+  $("recipeList").addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-act]");
+    if (!btn) return;
+
+    const id = Number(btn.dataset.id);
+    const r = recipes.find(x => x.id === id);
+    if (!r) return;
+
+    if (btn.dataset.act === "edit") fillRecipeForm(r);
+
+    if (btn.dataset.act === "del") {
+      const ok = confirm(`レシピ「${r.name || "レシピ"}」を削除する？`);
+      if (!ok) return;
+      await deleteRecipe(id);
+      await reload();
+      if (editingRecipeId === id) resetRecipeForm();
+    }
+  });
+
   // Palette events
   $("btnAddPalette").addEventListener("click", async () => {
     const name = prompt("パレット名は？", "新しいパレット");
@@ -894,6 +6339,27 @@ document.addEventListener("DOMContentLoaded", async () => {
     await reloadPalettes();
   });
 
+  $("btnDuplicatePalette").addEventListener("click", async () => {
+    const ap = getActivePalette();
+    if (!ap) return;
+    const name = prompt("コピーの名前は？", `${ap.name || "パレット"}（コピー）`);
+    if (name == null) return;
+    const id = await duplicatePalette(ap.id, name.trim());
+    if (id == null) return;
+    activePaletteId = id;
+    mixSlotIndexes = [];
+    await reloadPalettes();
+    showUndoToast(`「${ap.name || "パレット"}」を複製したよ`);
+  });
+
+  $("btnComparePalettes").addEventListener("click", openCompare);
+  $("compareA").addEventListener("change", renderCompare);
+  $("compareB").addEventListener("change", renderCompare);
+  $("btnCloseCompare").addEventListener("click", () => ($("compareBackdrop").hidden = true));
+  $("compareBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("compareBackdrop")) $("compareBackdrop").hidden = true;
+  });
+
   $("paletteName").addEventListener("change", async () => {
     const ap = getActivePalette();
     if (!ap) return;
@@ -908,14 +6374,23 @@ document.addEventListener("DOMContentLoaded", async () => {
     $("paletteSlots").value = String(v);
   }
 
+  // マス数の変更とはみ出したマスの削除を1手で。絵の具が入ったマスが消えたら戻せるように知らせる
+  async function resizePalette(ap, next) {
+    const lost = activePaletteSlots.filter(s => s.index >= next && s.paintId != null).length;
+    await withHistory("マス数を変更", async (batch) => {
+      await updatePalette(ap.id, { slots: next }, { batch });
+      await trimSlotsBeyond(ap.id, next, { batch });
+    });
+    await reloadPalettes();
+    if (lost) showUndoToast(`絵の具の入ったマスを ${lost} 個消したよ`);
+  }
+
   $("btnSlotsMinus").addEventListener("click", async () => {
     const ap = getActivePalette();
     if (!ap) return;
     const next = Math.max(1, (Number($("paletteSlots").value) || ap.slots || 13) - 1);
     setSlotsCount(next);
-    await updatePalette(ap.id, { slots: next });
-    await trimSlotsBeyond(ap.id, next);
-    await reloadPalettes();
+    await resizePalette(ap, next);
   });
 
   $("btnSlotsPlus").addEventListener("click", async () => {
@@ -933,20 +6408,194 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (!ap) return;
     const next = Math.max(1, Number($("paletteSlots").value) || ap.slots || 13);
     setSlotsCount(next);
-    await updatePalette(ap.id, { slots: next });
-    await trimSlotsBeyond(ap.id, next);
+    await resizePalette(ap, next);
+  });
+
+  // Slot drag & drop（絵の具の入ったマスだけ掴める）
+  const paletteGrid = $("paletteGrid");
+
+  paletteGrid.addEventListener("pointerdown", (e) => {
+    if (mixMode || slotDrag || e.button > 0) return;
+    const slot = e.target.closest(".slot[data-paint]");
+    if (!slot) return;
+    slotDrag = {
+      from: Number(slot.dataset.index),
+      pointerId: e.pointerId,
+      x: e.clientX,
+      y: e.clientY,
+      touch: e.pointerType === "touch",
+      active: false,
+      timer: null,
+      ghost: null,
+      over: null,
+    };
+    if (slotDrag.touch) slotDrag.timer = setTimeout(() => slotDrag && startSlotDrag(), SLOT_DRAG_HOLD_MS);
+  });
+
+  window.addEventListener("pointermove", (e) => {
+    const d = slotDrag;
+    if (!d || e.pointerId !== d.pointerId) return;
+    const moved = Math.hypot(e.clientX - d.x, e.clientY - d.y) > SLOT_DRAG_MOVE_PX;
+    if (!d.active) {
+      if (!moved) return;
+      // 長押し前に指が動いた = スクロールしたい
+      if (d.touch) return endSlotDrag();
+      startSlotDrag();
+    }
+    d.x = e.clientX;
+    d.y = e.clientY;
+    moveSlotGhost(e.clientX, e.clientY);
+  });
+
+  window.addEventListener("pointerup", async (e) => {
+    if (!slotDrag || e.pointerId !== slotDrag.pointerId) return;
+    const d = endSlotDrag();
+    if (d) await dropSlot(d);
+  });
+
+  window.addEventListener("pointercancel", (e) => {
+    if (slotDrag && e.pointerId === slotDrag.pointerId) endSlotDrag();
+  });
+
+  // ドラッグ中はページのスクロールを止める（passive: false でないと preventDefault が効かない）
+  paletteGrid.addEventListener("touchmove", (e) => {
+    if (slotDrag?.active) e.preventDefault();
+  }, { passive: false });
+
+  // 写真サムネイル（img）のブラウザ標準ドラッグと取り合わないように
+  paletteGrid.addEventListener("dragstart", (e) => e.preventDefault());
+
+  paletteGrid.addEventListener("contextmenu", (e) => {
+    if (slotDrag) e.preventDefault();
+  });
+
+  // Palette export / print
+  $("btnPaletteSVG").addEventListener("click", async () => {
+    const ap = getActivePalette();
+    if (!ap) return;
+    const svg = await paletteToSVG(ap);
+    downloadBlob(new Blob([svg], { type: "image/svg+xml" }), paletteFileName(ap, "svg"));
+  });
+
+  $("btnPalettePNG").addEventListener("click", async () => {
+    const ap = getActivePalette();
+    if (!ap) return;
+    try {
+      downloadBlob(await svgToPngBlob(await paletteToSVG(ap)), paletteFileName(ap, "png"));
+    } catch (err) {
+      console.error(err);
+      alert("PNG にできなかった…SVG で書き出してみてね");
+    }
+  });
+
+  $("btnPalettePrint").addEventListener("click", () => {
+    const ap = getActivePalette();
+    if (!ap) return;
+    renderPrintSheet(ap);
+    document.body.classList.add("printingSheet");
+    window.print();
+  });
+
+  window.addEventListener("afterprint", () => {
+    document.body.classList.remove("printingSheet");
+    $("printSheet").innerHTML = "";
+  });
+
+  // Layout editor
+  $("layoutPreset").innerHTML = `<option value="">テンプレートから…</option>` +
+    PALETTE_PRESETS.map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`).join("");
+  $("layoutBrush").innerHTML = Object.entries(CELL_KINDS)
+    .map(([k, label]) => `<option value="${k}">${label}</option>`).join("");
+
+  $("layoutEditor").addEventListener("toggle", () => {
+    const ap = getActivePalette();
+    if ($("layoutEditor").open && ap) openLayoutDraft(ap);
+  });
+
+  $("layoutPreset").addEventListener("change", () => {
+    const preset = PALETTE_PRESETS.find(p => p.id === $("layoutPreset").value);
+    if (!preset || !layoutDraft) return;
+    layoutDraft = { paletteId: layoutDraft.paletteId, ...preset.layout() };
+    renderLayoutEditor();
+  });
+
+  for (const id of ["layoutRows", "layoutCols"]) {
+    $(id).addEventListener("change", () => {
+      if (!layoutDraft) return;
+      const clamp = (v) => Math.min(LAYOUT_MAX, Math.max(1, Math.floor(Number(v)) || 1));
+      const { paletteId } = layoutDraft;
+      layoutDraft = { paletteId, ...resizeLayout(layoutDraft, clamp($("layoutRows").value), clamp($("layoutCols").value)) };
+      renderLayoutEditor();
+    });
+  }
+
+  $("layoutGrid").addEventListener("click", (e) => {
+    const cell = e.target.closest("[data-cell]");
+    if (!cell || !layoutDraft) return;
+    layoutDraft.cells[Number(cell.dataset.cell)] = $("layoutBrush").value;
+    renderLayoutEditor();
+  });
+
+  $("btnLayoutSave").addEventListener("click", async () => {
+    const ap = getActivePalette();
+    if (!ap || !layoutDraft) return;
+    const layout = normalizeLayout(layoutDraft);
+    if (!layout) return;
+    const next = layoutPanCount(layout);
+    const lost = activePaletteSlots.filter(s => s.index >= next && s.paintId != null).length;
+    await withHistory("レイアウトを変更", async (batch) => {
+      await updatePalette(ap.id, { layout, slots: next }, { batch });
+      await trimSlotsBeyond(ap.id, next, { batch });
+    });
+    $("layoutEditor").open = false;
+    layoutDraft = null;
+    await reloadPalettes();
+    if (lost) showUndoToast(`絵の具の入ったマスを ${lost} 個消したよ`);
+  });
+
+  $("btnLayoutClear").addEventListener("click", async () => {
+    const ap = getActivePalette();
+    if (!ap) return;
+    await updatePalette(ap.id, { layout: null });
+    $("layoutEditor").open = false;
+    layoutDraft = null;
     await reloadPalettes();
   });
 
+  $("btnMixMode").addEventListener("click", () => {
+    mixMode = !mixMode;
+    mixSlotIndexes = [];
+    renderPalettesUI();
+  });
+
+  $("mixRatio").addEventListener("input", renderPaletteMix);
+
+  $("btnMixToRecipe").addEventListener("click", () => {
+    const [a, b] = mixSlotIndexes.map(i => paintById(slotPaintId(i)));
+    if (!a || !b) return;
+    // 混色プレビューは 0〜100(%)、レシピの割合は 0〜10 なので 1/10 にする（70% → 7 : 3）
+    const ratioA = Number($("mixRatio").value) / 10;
+    setView("recipes");
+    prefillRecipeForm(
+      [{ paintId: a.id, ratio: ratioA }, { paintId: b.id, ratio: RECIPE_SLIDER_MAX - ratioA }],
+      `${a.name || ""} + ${b.name || ""}`
+    );
+  });
+
   $("btnDeletePalette").addEventListener("click", async () => {
     const ap = getActivePalette();
     if (!ap) return;
-    const ok = confirm(`「${ap.name || "パレット"}」を削除する？`);
+    const ok = confirm(`「${ap.name || "パレット"}」を削除する？（ゴミ箱に${TRASH_DAYS}日残るよ）`);
     if (!ok) return;
-    await deletePalette(ap.id);
-    palettes = await getAllPalettes();
-    activePaletteId = palettes[0]?.id ?? null;
-    await reloadPalettes();
+    // 最後の1つを消すと reloadPalettes が初期パレットを作るので、それも含めて1手
+    await withHistory(`パレット「${ap.name || ""}」を削除`, async (batch) => {
+      await deletePalette(ap.id, { batch });
+      palettes = await getAllPalettes();
+      activePaletteId = palettes[0]?.id ?? null;
+      await reloadPalettes({ batch });
+    });
+    await renderTrash();
+    showUndoToast(`パレット「${ap.name || "パレット"}」をゴミ箱に移したよ`);
   });
 
   // Picker events
@@ -955,23 +6604,39 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (e.target === $("pickerBackdrop")) closePicker();
   });
   $("pickerQuery").addEventListener("input", renderPickerList);
+  $("pickerPigment").addEventListener("change", renderPickerList);
+
+  $("btnCloseSamePigment").addEventListener("click", closeSamePigment);
+  $("samePigmentBackdrop").addEventListener("click", (e) => {
+    if (e.target === $("samePigmentBackdrop")) closeSamePigment();
+  });
 
   $("btnClearSlot").addEventListener("click", async () => {
     const ap = getActivePalette();
     if (!ap || pickingSlotIndex == null) return;
+    const had = slotPaintId(pickingSlotIndex) != null;
     await clearSlot(ap.id, pickingSlotIndex);
     activePaletteSlots = await getSlotsForPalette(ap.id);
     renderPalettesUI();
     closePicker();
+    if (had) showUndoToast("マスを空にしたよ");
   });
   
+  // view名 -> [表示するブロック, タブ]
+  const VIEWS = {
+    palette: ["viewPalette", "tabPalette"],
+    list: ["viewList", "tabList"],
+    recipes: ["viewRecipes", "tabRecipes"],
+    shopping: ["viewShopping", "tabShopping"],
+  };
+
   function setView(view) {
+  if (!VIEWS[view]) view = "palette";
   const isPalette = view === "palette";
-  $("viewPalette").hidden = !isPalette;
-  $("viewList").hidden = isPalette;
-
-  $("tabPalette").classList.toggle("viewTab--active", isPalette);
-  $("tabList").classList.toggle("viewTab--active", !isPalette);
+  for (const [name, [viewId, tabId]] of Object.entries(VIEWS)) {
+    $(viewId).hidden = name !== view;
+    $(tabId).classList.toggle("viewTab--active", name === view);
+  }
 
   // パレット以外にいる時は、開いてしまったモーダルを強制で閉じる（事故防止）
   if (!isPalette) {
@@ -988,6 +6653,8 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   $("tabPalette").addEventListener("click", () => setView("palette"));
   $("tabList").addEventListener("click", () => setView("list"));
+  $("tabRecipes").addEventListener("click", () => setView("recipes"));
+  $("tabShopping").addEventListener("click", () => setView("shopping"));
   
   // 起動時は必ず閉じておく（保険）
   $("pickerBackdrop").hidden = true;  
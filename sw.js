@@ -1,5 +1,5 @@
 // Simple SW for offline cache (GitHub Pages OK)
-const CACHE_NAME = "paint-manager-v1";
+const CACHE_NAME = "paint-manager-v5";
 const ASSETS = [
   "./",
   "./index.html",
@@ -7,6 +7,16 @@ const ASSETS = [
   "./app.js",
   "./manifest.webmanifest",
   "./icons/icon.svg",
+  "./catalog/index.json",
+  "./catalog/winsor-newton-professional-watercolour.json",
+  "./catalog/daniel-smith-extra-fine-watercolor.json",
+  "./schema/backup-v1.schema.json",
+  "./schema/backup-v2.schema.json",
+  "./schema/backup-v3.schema.json",
+  "./schema/backup-v4.schema.json",
+  "./schema/backup-v5.schema.json",
+  "./schema/backup-v6.schema.json",
+  "./schema/backup-v7.schema.json",
 ];
 
 self.addEventListener("install", (event) => {
@@ -26,8 +36,153 @@ self.addEventListener("activate", (event) => {
   );
 });
 
+// ---------- sync outbox ----------
+// 同期サーバーへの送信（POST .../api/v1/changes）がオフラインで失敗したら、ここにためて後で送る
+// 送れたら画面に { type: "sync-outbox-sent", count } を知らせる
+// 4xx で捨てたら { type: "sync-outbox-dropped", status, since } を知らせる（画面は since から送り直す）
+// オンラインなのに送れない（5xx・接続を切られる）のが OUTBOX_MAX_TRIES 回続いたものも捨てて知らせる（status: 0 は届かなかった）
+const SYNC_API = "/api/v1/changes";
+const OUTBOX_DB = "paint-manager-sync-outbox";
+const OUTBOX_STORE = "outbox";
+const OUTBOX_TAG = "paint-manager-sync";
+const OUTBOX_MAX_TRIES = 5;
+
+const isSyncApi = (url) => url.pathname.endsWith(SYNC_API);
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function outbox(mode, fn) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const req = fn(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function queueSyncRequest(req) {
+  await outbox("readwrite", (store) => store.add({
+    url: req.url,
+    authorization: req.headers.get("Authorization") || "",
+    body: req.body,
+    queuedAt: new Date().toISOString(),
+  }));
+  if (self.registration.sync) {
+    try {
+      await self.registration.sync.register(OUTBOX_TAG);
+    } catch {
+      // Background Sync が使えなければ、画面が online で flush を頼んでくる
+    }
+  }
+}
+
+// 送ろうとしていた変更の since（読めなければ "" = 全部送り直す）
+function bodySince(body) {
+  try {
+    return String(JSON.parse(body).since || "");
+  } catch {
+    return "";
+  }
+}
+
+const olderSince = (a, b) => (a === undefined ? b : a < b ? a : b);
+
+// ためた順に送る。ネットワークが無ければそこでやめる（次の機会に続きから）
+let flushing = null;
+function flushOutbox() {
+  flushing ||= (async () => {
+    let sent = 0;
+    let dropped = null; // { status, since }（捨てた中で一番古い since）
+    try {
+      const items = await outbox("readonly", (store) => store.getAll());
+      for (const it of items) {
+        let res = null;
+        try {
+          res = await fetch(it.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", Authorization: it.authorization },
+            body: it.body,
+          });
+        } catch {
+          if (!self.navigator.onLine) break; // オフラインなら数えずに次の機会へ
+        }
+        const drop = (status) => {
+          dropped = { status, since: olderSince(dropped?.since, bodySince(it.body)) };
+          return outbox("readwrite", (store) => store.delete(it.id));
+        };
+        // 4xx はいくら送り直しても通らないので捨てる
+        if (res && (res.ok || (res.status >= 400 && res.status < 500))) {
+          if (res.ok) {
+            sent++;
+            await outbox("readwrite", (store) => store.delete(it.id));
+          } else {
+            await drop(res.status);
+          }
+          continue;
+        }
+        // 5xx・接続を切られた: 何回か続いたら諦めて次へ（先頭で詰まると後ろも送れない）
+        const tries = (it.tries || 0) + 1;
+        if (tries >= OUTBOX_MAX_TRIES) {
+          await drop(res?.status || 0);
+          continue;
+        }
+        await outbox("readwrite", (store) => store.put({ ...it, tries }));
+        break;
+      }
+    } finally {
+      flushing = null;
+    }
+    const clients = await self.clients.matchAll();
+    if (sent) {
+      for (const client of clients) client.postMessage({ type: "sync-outbox-sent", count: sent });
+    }
+    if (dropped) {
+      for (const client of clients) client.postMessage({ type: "sync-outbox-dropped", ...dropped });
+    }
+    return sent;
+  })();
+  return flushing;
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === OUTBOX_TAG) event.waitUntil(flushOutbox());
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "flush-sync-outbox") event.waitUntil(flushOutbox());
+});
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
+  const reqUrl = new URL(req.url);
+
+  if (isSyncApi(reqUrl)) {
+    if (req.method !== "POST") return; // 取得はそのままネットワークへ（キャッシュしない）
+    event.respondWith(
+      (async () => {
+        const body = await req.clone().text();
+        try {
+          return await fetch(req);
+        } catch {
+          await queueSyncRequest({ url: req.url, headers: req.headers, body });
+          return new Response(JSON.stringify({ queued: true }), {
+            status: 202,
+            headers: { "Content-Type": "application/json" },
+          });
+        }
+      })()
+    );
+    return;
+  }
+
   if (req.method !== "GET") return;
 
   event.respondWith(
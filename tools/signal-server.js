@@ -0,0 +1,115 @@
+// 同期（WebRTC）の合図サーバー。offer / answer の受け渡しだけをする小さな HTTP サーバー
+// 絵の具のデータはここを通らない（端末どうしのデータチャネルで直接やりとりする）
+//
+//   node tools/signal-server.js [port]   # 既定 8787
+//
+// 同じネットワークの PC で動かして、アプリの「同期」→「合図サーバー」に http://<PCのIP>:8787 を入れる
+// アプリを https で開いている時は、ブラウザが http のサーバーへの接続を止めることがあるので注意
+//
+// API（JSON）
+//   POST /rooms               -> { code }   6桁のコードで部屋を作る（ROOM_TTL_MS で消える。MAX_ROOMS 個あれば 503）
+//   PUT  /rooms/:code/offer   <- { type, sdp }（1回だけ。もう入っていれば 409）
+//   GET  /rooms/:code/offer   -> { type, sdp }（まだ無ければ 404）
+//   PUT  /rooms/:code/answer  <- { type, sdp }（1回だけ。もう入っていれば 409）
+//   GET  /rooms/:code/answer  -> { type, sdp }（まだ無ければ 404）
+"use strict";
+
+const http = require("http");
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787;
+const ROOM_TTL_MS = 10 * 60 * 1000;
+const MAX_BODY = 64 * 1024; // SDP はせいぜい数 KB
+const MAX_ROOMS = 1000; // コードは 100 万通りなので、空きを探すループは必ず終わる
+
+const rooms = new Map(); // code -> { createdAt, offer, answer }
+
+function newCode() {
+  for (;;) {
+    const code = String(Math.floor(Math.random() * 1e6)).padStart(6, "0");
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function dropExpired() {
+  const now = Date.now();
+  for (const [code, room] of rooms) {
+    if (now - room.createdAt > ROOM_TTL_MS) rooms.delete(code);
+  }
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reject(new Error("too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+const isDescription = (d) => d && typeof d.type === "string" && typeof d.sdp === "string";
+
+const server = http.createServer(async (req, res) => {
+  dropExpired();
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const url = new URL(req.url, "http://localhost");
+  if (req.method === "POST" && url.pathname === "/rooms") {
+    if (rooms.size >= MAX_ROOMS) return send(res, 503, { error: "too many rooms" });
+    const code = newCode();
+    rooms.set(code, { createdAt: Date.now(), offer: null, answer: null });
+    return send(res, 201, { code });
+  }
+
+  const m = /^\/rooms\/(\d{6})\/(offer|answer)$/.exec(url.pathname);
+  const room = m && rooms.get(m[1]);
+  if (!room) return send(res, 404, { error: "not found" });
+  const slot = m[2];
+
+  if (req.method === "GET") {
+    return room[slot] ? send(res, 200, room[slot]) : send(res, 404, { error: "not yet" });
+  }
+  if (req.method === "PUT") {
+    // 先に入れた端末の SDP を、コードを知っている別の端末が上書きできないように
+    if (room[slot]) return send(res, 409, { error: "already set" });
+    let body;
+    try {
+      body = await readJSON(req);
+    } catch {
+      return send(res, 400, { error: "bad json" });
+    }
+    if (!isDescription(body)) return send(res, 400, { error: "need { type, sdp }" });
+    if (room[slot]) return send(res, 409, { error: "already set" }); // 本文を読んでいる間に先を越された
+    room[slot] = { type: body.type, sdp: body.sdp };
+    return send(res, 200, { ok: true });
+  }
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`signal server: http://localhost:${PORT}`);
+});
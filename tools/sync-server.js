@@ -0,0 +1,204 @@
+// 自前で立てる同期サーバーの見本（依存なし）。プロトコルは tools/README.md の「同期サーバー」
+//
+//   node tools/sync-server.js [port] [dataDir]   # 既定 8788 / ./sync-data
+//
+// ユーザーは Authorization: Bearer <トークン> で分ける（トークンごとに別の保存先）
+// SYNC_TOKENS=tok1,tok2 を付けて起動すると、そのトークンだけ受け付ける（無ければ 16 文字以上なら何でも）
+//
+// 保存するのは絵の具・パレット（マス込み）・レシピ・削除記録を uid ごとに1つずつ
+// どれも受け取った順に seq を振り、取得は「この seq より後」で差分だけ返す
+// ぶつかった時はアプリの取り込みと同じ: updatedAt（削除は deletedAt）が新しい方を残す
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8788;
+const DATA_DIR = path.resolve(process.argv[3] || process.env.DATA_DIR || "sync-data");
+const TOKENS = (process.env.SYNC_TOKENS || "").split(",").map(s => s.trim()).filter(Boolean);
+const MAX_BODY = 50 * 1024 * 1024; // 写真が入るので大きめ
+const PAGE_LIMIT = 500;
+
+const SYNC_FORMAT = "paint-manager-sync";
+const SYNC_VERSION = 1;
+const KINDS = { paints: "paint", palettes: "palette", recipes: "recipe" };
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+// ---------- storage ----------
+// <dataDir>/<トークンの sha256>.json = { seq, items: { [uid]: { kind, seq, at, deleted, data } } }
+const users = new Map();
+
+const userKey = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function loadUser(key) {
+  if (users.has(key)) return users.get(key);
+  let user = { seq: 0, items: {} };
+  try {
+    user = JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${key}.json`), "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  users.set(key, user);
+  return user;
+}
+
+// 書きかけで落ちても壊れないよう、別名で書いてから置き換える
+function saveUser(key, user) {
+  const file = path.join(DATA_DIR, `${key}.json`);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(user));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// ---------- merge ----------
+const isUid = (v) => typeof v === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v);
+const list = (v) => (Array.isArray(v) ? v.filter(r => isUid(r?.uid)) : []);
+
+function mergeChanges(user, set) {
+  let accepted = 0;
+  let skipped = 0;
+  const put = (uid, item) => {
+    user.items[uid] = { ...item, seq: ++user.seq };
+    accepted++;
+  };
+
+  // 絵の具を先に（同じ送信の中でパレット・レシピより前の seq になるように）
+  for (const [key, kind] of Object.entries(KINDS)) {
+    for (const r of list(set[key])) {
+      const cur = user.items[r.uid];
+      const at = String(r.updatedAt || "");
+      if (!at || (cur && !(at > cur.at))) {
+        skipped++;
+        continue;
+      }
+      put(r.uid, { kind, at, deleted: false, data: r });
+    }
+  }
+  // 消した時より後に変更されていたら、変更の方を残す
+  for (const t of list(set.tombstones)) {
+    const cur = user.items[t.uid];
+    const at = String(t.deletedAt || "");
+    if (!Object.values(KINDS).includes(t.kind) || !at || (cur && !(at > cur.at))) {
+      skipped++;
+      continue;
+    }
+    put(t.uid, { kind: t.kind, at, deleted: true, data: { uid: t.uid, kind: t.kind, deletedAt: at } });
+  }
+  return { accepted, skipped };
+}
+
+function changesSince(user, cursor, limit) {
+  const items = Object.values(user.items)
+    .filter(it => it.seq > cursor)
+    .sort((a, b) => a.seq - b.seq)
+    .slice(0, limit);
+  const set = {
+    format: SYNC_FORMAT,
+    version: SYNC_VERSION,
+    deviceId: "server",
+    createdAt: new Date().toISOString(),
+    since: "",
+    paints: [],
+    palettes: [],
+    recipes: [],
+    tombstones: [],
+  };
+  for (const it of items) {
+    if (it.deleted) set.tombstones.push(it.data);
+    else set[`${it.kind}s`].push(it.data);
+  }
+  const last = items[items.length - 1];
+  return { ...set, cursor: last ? last.seq : cursor, more: !!last && last.seq < user.seq };
+}
+
+// ---------- http ----------
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    ...headers,
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+// 大きすぎる時は 413 を返せるように、接続は切らずに残りを読み捨てる（err.close: 返したら接続を閉じる）
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error("too large"), { status: 413, close: true });
+    if (Number(req.headers["content-length"]) > MAX_BODY) {
+      reject(tooLarge());
+      req.resume();
+      return;
+    }
+    let size = 0;
+    let chunks = [];
+    req.on("data", (c) => {
+      if (!chunks) return;
+      size += c.length;
+      if (size > MAX_BODY) {
+        chunks = null;
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on("end", () => {
+      if (!chunks) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(Object.assign(new Error("bad json"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function authUser(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  const token = m && m[1].trim();
+  if (!token) return null;
+  if (TOKENS.length ? !TOKENS.includes(token) : token.length < 16) return null;
+  return userKey(token);
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/api/v1/changes") return send(res, 404, { error: "not found" });
+
+  const key = authUser(req);
+  if (!key) return send(res, 401, { error: "unauthorized" });
+  const user = loadUser(key);
+
+  if (req.method === "GET") {
+    const cursor = Math.max(0, Number(url.searchParams.get("cursor")) || 0);
+    const limit = Math.min(PAGE_LIMIT, Math.max(1, Number(url.searchParams.get("limit")) || PAGE_LIMIT));
+    return send(res, 200, changesSince(user, cursor, limit));
+  }
+
+  if (req.method === "POST") {
+    let set;
+    try {
+      set = await readJSON(req);
+    } catch (err) {
+      return send(res, err.status || 400, { error: err.message }, err.close ? { Connection: "close" } : {});
+    }
+    if (set?.format !== SYNC_FORMAT) return send(res, 400, { error: `format must be ${SYNC_FORMAT}` });
+    if (Number(set.version) > SYNC_VERSION) return send(res, 400, { error: "unsupported version" });
+    const result = mergeChanges(user, set);
+    if (result.accepted) saveUser(key, user);
+    return send(res, 200, result);
+  }
+
+  send(res, 405, { error: "method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`sync server: http://localhost:${PORT}/api/v1/changes (data: ${DATA_DIR})`);
+});